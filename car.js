@@ -2,19 +2,70 @@
  * CAR ENTITY
  * Handles Player and Bot physics, movement, and intersection logic.
  */
+
+// Per-tick speed multiplier while driving against a one-way street
+const WRONG_WAY_DRAG = 0.97;
+
+// Pursuit: extra choice weight for the exit on a bot's planned route, and how far
+// ahead of the player (in map units) a bot may aim to cut it off
+const ROUTE_WEIGHT = 60;
+const MAX_INTERCEPT_LEAD = 1500;
+// Blockers pick the busiest junction within this distance of the player's path
+const BLOCK_RADIUS = 400;
+
+// Hazard scan: spacing of look-ahead samples, how close a trail or car must pass
+// to block a sample, and how many ticks a bot keeps its braking decision
+const SCAN_STEP = 10;
+const TRAIL_CLEARANCE = 6;
+const CAR_CLEARANCE = 12;
+const BRAKE_SCAN_INTERVAL = 3;
+
+// Collision distances: between two cars, and between a car and a trail segment
+const HEAD_ON_DISTANCE = 8;
+const TRAIL_DISTANCE = 4;
+
+// Closest the two cars came during the last tick, both moving in a straight line
+function closestApproach(a, b) {
+    const dx = a.prevX - b.prevX;
+    const dy = a.prevY - b.prevY;
+    const vx = (a.x - a.prevX) - (b.x - b.prevX);
+    const vy = (a.y - a.prevY) - (b.y - b.prevY);
+    const speedSq = vx * vx + vy * vy;
+    const t = speedSq > 0 ? Math.max(0, Math.min(1, -(dx * vx + dy * vy) / speedSq)) : 0;
+    return Math.hypot(dx + vx * t, dy + vy * t);
+}
+
 class Car {
-    constructor(network, isBot = false, avoidPoint = null) {
+    // Bot archetypes: speed, trail length, color and how they pick a target
+    static ARCHETYPES = {
+        chaser:      { color: "#ff003c", maxSpeed: 20, trailLength: 40, strategy: 'chase' },     // Straight for the player
+        interceptor: { color: "#ff8c00", maxSpeed: 24, trailLength: 30, strategy: 'intercept' }, // Cuts ahead of the player
+        wanderer:    { color: "#b44dff", maxSpeed: 16, trailLength: 60, strategy: 'wander' },    // Ignores the player
+        blocker:     { color: "#39ff14", maxSpeed: 18, trailLength: 90, strategy: 'block' }      // Trails across junctions
+    };
+
+    // Player colors in split screen, in player order
+    static PLAYER_COLORS = ["#00f3ff", "#ff2bd6", "#ffe600", "#2b6bff"];
+
+    // Spawns keep at least this far from the points to avoid
+    static SPAWN_DISTANCE = 500;
+
+    constructor(network, isBot = false, avoid = null, rng = null, archetype = 'chaser') {
         this.network = network;
         this.isBot = isBot;
-        
-        // Settings
-        this.color = isBot ? "#ff003c" : "#00f3ff";
-        this.maxSpeed = isBot ? 20 : 35;
+        this.archetype = isBot ? archetype : null;
+        this.playerIndex = -1; // Set by the simulation for players
+        this.rng = rng || new Random(); // Shared with the simulation for reproducible runs
+        const profile = isBot ? Car.ARCHETYPES[archetype] : null;
+
+        // Settings (physics values are per simulation tick, see Simulation.TICK_RATE)
+        this.color = profile ? profile.color : "#00f3ff";
+        this.maxSpeed = profile ? profile.maxSpeed : 35;
         this.acceleration = 0.3;
         this.friction = 0.96;
         
         // Configuration for visual trail length
-        this.maxTrailLength = 40; 
+        this.maxTrailLength = profile ? profile.trailLength : 40;
 
         // State
         this.currentRoad = null;
@@ -24,52 +75,90 @@ class Car {
         this.x = 0;
         this.y = 0;
         this.angle = 0;
+
+        // Pose at the start of the current tick, for interpolated rendering
+        this.prevX = 0;
+        this.prevY = 0;
+        this.prevAngle = 0;
         
         this.trail = [];
         this.crashed = false;
         this.crashReason = "";
+        this.crash = null; // Cause of the last crash, see crashWith()
+        this.spawns = 0;   // Times placed on a road; a bot respawning elsewhere changes it
 
-        this.spawn(avoidPoint);
+        // Traffic rules: bots always keep to legal directions, the player only if this is false
+        this.allowWrongWay = false;
+
+        // Bot pursuit plan: roads still to drive and the node they lead to
+        this.route = [];
+        this.routeTarget = -1;
+
+        // Bot hazard avoidance: how far ahead to look (see Simulation config botLookAhead)
+        this.lookAhead = 200;
+        this.braking = false;
+        this.brakeScanIn = 0;
+
+        this.spawn(avoid);
     }
 
     /**
      * Resets car state and places it on a road.
-     * @param {Object} avoidPoint - Optional {x, y} coordinates to stay away from during spawn.
+     * @param {Object|Array} avoid - Optional {x, y} point, or list of points, to stay away from during spawn.
      */
-    spawn(avoidPoint = null) {
+    spawn(avoid = null) {
         if (!this.network.roads.length) return;
 
         let spawnRoad = null;
-        const minDistance = 500;
+        // Only the main network: fragments and stubs would be a dead end within seconds
+        const spawnRoads = this.network.spawnRoads;
 
-        if (avoidPoint) {
-            // Find roads with start points outside the exclusion radius
-            const candidates = this.network.roads.filter(road => {
-                const d = Utils.dist(road.points[0], avoidPoint);
-                return d > minDistance;
-            });
+        const avoidPoints = avoid ? [].concat(avoid) : [];
+        if (avoidPoints.length) {
+            // Find roads with start points outside the exclusion radius of every point
+            const candidates = spawnRoads.filter(road =>
+                avoidPoints.every(point => Utils.dist(road.points[0], point) > Car.SPAWN_DISTANCE));
 
             if (candidates.length > 0) {
-                spawnRoad = candidates[Math.floor(Math.random() * candidates.length)];
+                spawnRoad = this.rng.pick(candidates);
             }
         }
 
         // Fallback to random road if no candidates found
         if (!spawnRoad) {
-            spawnRoad = this.network.roads[Math.floor(Math.random() * this.network.roads.length)];
+            spawnRoad = this.rng.pick(spawnRoads.length ? spawnRoads : this.network.roads);
         }
 
-        this.currentRoad = spawnRoad;
+        this.placeOnRoad(spawnRoad);
+    }
+
+    /**
+     * Resets car state and puts it at the start of the given road segment.
+     */
+    placeOnRoad(road) {
+        this.spawns++;
+        this.currentRoad = road;
         this.pointIndex = 0;
         this.t = 0;
         this.x = this.currentRoad.points[0].x;
         this.y = this.currentRoad.points[0].y;
-        this.trail = [{ x: this.x, y: this.y }];
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.prevAngle = this.angle;
+        this.trail = [{ x: this.x, y: this.y, level: this.currentRoad.level }];
         this.speed = 0; 
         this.crashed = false;
+        this.route = [];
+        this.routeTarget = -1;
+        this.braking = false;
+        this.brakeScanIn = 0;
     }
 
     update(input) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.prevAngle = this.angle;
+
         if (this.crashed) return;
 
         // 1. Input / AI Physics
@@ -77,10 +166,20 @@ class Car {
             if (input.accelerating) this.speed += this.acceleration;
             else if (input.braking) this.speed -= this.acceleration * 1.5;
         } else {
-            if (this.speed < this.maxSpeed) this.speed += this.acceleration;
+            if (input && --this.brakeScanIn <= 0) {
+                this.brakeScanIn = BRAKE_SCAN_INTERVAL;
+                this.braking = this.scanRoad(this.currentRoad, this.pointIndex, this, this.lookAhead, this.nearbyCars(input, this.lookAhead)) > 0;
+            }
+            // Brake for a hazard on the road ahead, but never to a stop
+            if (this.braking) {
+                if (this.speed > this.maxSpeed * 0.3) this.speed -= this.acceleration * 1.5;
+            } else if (this.speed < this.maxSpeed) this.speed += this.acceleration;
         }
 
         this.speed *= this.friction;
+
+        // Wrong-way penalty: heavy drag for as long as the car stays on the segment
+        if (this.currentRoad.wrongWay) this.speed *= WRONG_WAY_DRAG;
         if (this.speed < 0) this.speed = 0;
 
         if (this.speed < 0.1) return;
@@ -100,7 +199,7 @@ class Car {
         // Trail Logic
         const lastTrail = this.trail[this.trail.length - 1];
         if (Utils.dist(lastTrail, {x: this.x, y: this.y}) > 5) {
-            this.trail.push({x: this.x, y: this.y});
+            this.trail.push({x: this.x, y: this.y, level: this.currentRoad.level});
             if (this.trail.length > this.maxTrailLength) this.trail.shift(); 
         }
 
@@ -114,22 +213,95 @@ class Car {
         }
     }
 
+    // Bots, and the player under strict rules, may only take legal exits
+    legalExits(node) {
+        return (this.isBot || !this.allowWrongWay) ? node.outgoing.filter(r => !r.wrongWay) : node.outgoing;
+    }
+
+    // No U-turn unless it is the only way on
+    withoutUTurn(exits) {
+        const candidates = exits.filter(r => r.id !== this.currentRoad.reverseId);
+        return candidates.length ? candidates : exits;
+    }
+
+    // Exits the car will choose between at the end of its current road
+    upcomingExits() {
+        const node = this.network.nodes[this.currentRoad.endNodeIdx];
+        return node ? this.withoutUTurn(this.legalExits(node)) : [];
+    }
+
+    /**
+     * Exit at the end of the current road for a turn relative to the car's heading there.
+     * @param {string} turn - 'left' (leftmost exit), 'right' (rightmost) or 'straight' (closest to straight on).
+     * @returns {Object} the road, or null at a dead end.
+     */
+    exitForTurn(turn) {
+        const points = this.currentRoad.points;
+        const heading = Utils.angleTo(points[points.length - 2], points[points.length - 1]);
+        let best = null;
+        let bestScore = Infinity;
+        for (const road of this.upcomingExits()) {
+            const diff = Utils.angleDiff(heading, road.startAngle); // Negative is a left turn (screen y points down)
+            const score = turn === 'left' ? diff : (turn === 'right' ? -diff : Math.abs(diff));
+            if (score < bestScore) {
+                bestScore = score;
+                best = road;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * The exit the player takes for a steering angle: the one setting off closest to it.
+     * Pure, so the renderer can preview the choice before the car gets there.
+     * @param {Array} exits - Defaults to the exits at the end of the current road.
+     * @returns {Object} the road, or null if there are no exits.
+     */
+    exitToward(angle, exits = this.upcomingExits()) {
+        let best = null;
+        let minAngleDiff = Infinity;
+        for (const road of exits) {
+            const diff = Math.abs(Utils.angleDiff(angle, road.startAngle));
+            if (diff < minAngleDiff) {
+                minAngleDiff = diff;
+                best = road;
+            }
+        }
+        return best;
+    }
+
+    // Distance left along the current road to the node at its end
+    distanceToRoadEnd() {
+        const points = this.currentRoad.points;
+        let distance = Utils.dist(this, points[this.pointIndex + 1]);
+        for (let i = this.pointIndex + 2; i < points.length; i++) distance += Utils.dist(points[i - 1], points[i]);
+        return distance;
+    }
+
     handleIntersection(input) {
         const intersection = this.network.nodes[this.currentRoad.endNodeIdx];
         
         if (!intersection || !intersection.outgoing.length) {
             if (this.isBot) {
-                const playerPos = (input && input.player) ? { x: input.player.x, y: input.player.y } : null;
-                this.spawn(playerPos);
+                this.spawn(input ? input.players : null);
                 return;
             }
-            this.crashed = true;
-            this.crashReason = "DEAD END";
+            this.crashWith("DEAD END");
             return;
         }
 
-        let candidates = intersection.outgoing.filter(r => r.id !== this.currentRoad.reverseId);
-        if (candidates.length === 0) candidates = intersection.outgoing;
+        const exits = this.legalExits(intersection);
+
+        if (!exits.length) {
+            if (this.isBot) {
+                this.spawn(input ? input.players : null);
+                return;
+            }
+            this.crashWith("NO LEGAL EXIT");
+            return;
+        }
+
+        const candidates = this.withoutUTurn(exits);
 
         let bestRoad = candidates[0];
 
@@ -140,8 +312,16 @@ class Car {
 
             let attractionAngle = 0;
             let hasAttraction = false;
-            
-            if (player && !player.crashed) {
+            let plannedRoad = null;
+            const hunting = player && !player.crashed && Car.ARCHETYPES[this.archetype].strategy !== 'wander';
+
+            if (hunting && sensorData.planner) {
+                plannedRoad = this.planPursuit(player, sensorData.planner);
+                if (!candidates.includes(plannedRoad)) plannedRoad = null;
+            }
+
+            // Without a route (budget spent, unreachable), head roughly towards the player
+            if (!plannedRoad && hunting) {
                 attractionAngle = Utils.angleTo(this, player);
                 hasAttraction = true;
             }
@@ -167,9 +347,12 @@ class Car {
                 }
             }
 
+            const nearby = this.nearbyCars(sensorData, this.lookAhead);
+
             let totalWeight = 0;
             const weightedOptions = candidates.map(road => {
                 let weight = 1;
+                if (road === plannedRoad) weight += ROUTE_WEIGHT;
                 if (hasAttraction) {
                     const diff = Math.abs(Utils.angleDiff(road.startAngle, attractionAngle));
                     weight += (1 - (diff / Math.PI)) * 10;
@@ -178,11 +361,13 @@ class Car {
                     const diff = Math.abs(Utils.angleDiff(road.startAngle, repulsionAngle));
                     weight += (1 - (diff / Math.PI)) * 50 * repulsionStrength; 
                 }
+                // Trails and oncoming cars ahead outweigh any target
+                weight /= 1 + this.scanRoad(road, 0, road.points[0], this.lookAhead, nearby) * 20;
                 totalWeight += weight;
                 return { road, weight };
             });
 
-            let randomValue = Math.random() * totalWeight;
+            let randomValue = this.rng.next() * totalWeight;
             for (const option of weightedOptions) {
                 randomValue -= option.weight;
                 if (randomValue <= 0) {
@@ -191,14 +376,7 @@ class Car {
                 }
             }
         } else {
-            let minAngleDiff = Infinity;
-            for (const road of candidates) {
-                const diff = Math.abs(Utils.angleDiff(input.mouseAngle, road.startAngle));
-                if (diff < minAngleDiff) {
-                    minAngleDiff = diff;
-                    bestRoad = road;
-                }
-            }
+            bestRoad = this.exitToward(input.mouseAngle, candidates);
         }
 
         const turnAngle = Math.abs(Utils.angleDiff(this.angle, bestRoad.startAngle));
@@ -209,32 +387,186 @@ class Car {
         this.t = 0;
     }
 
-    checkCollision(otherCar, avoidPoint = null) {
+    /**
+     * Next road on the shortest route to this bot's pursuit target.
+     * Replans only when the target node changes.
+     * @returns {Object|null} the road to take, or null if no route is known.
+     */
+    planPursuit(player, planner) {
+        const nodeIdx = this.currentRoad.endNodeIdx;
+        const target = this.pursuitTarget(player, planner);
+
+        if (target !== this.routeTarget || !this.route.length || this.route[0].startNodeIdx !== nodeIdx) {
+            const route = planner.findPath(nodeIdx, target);
+            if (!route) return null;
+            this.route = route;
+            this.routeTarget = target;
+        }
+        return this.route.shift() || null;
+    }
+
+    // Node the bot's archetype wants to reach next
+    pursuitTarget(player, planner) {
+        const strategy = Car.ARCHETYPES[this.archetype].strategy;
+        const gap = Utils.dist(this, player);
+        // Close by, everyone goes straight for the player
+        if (strategy === 'chase' || gap < 150) return planner.predictNode(player, 0);
+
+        // Aim where the player will be by the time this bot gets there
+        const lead = Math.min(gap * player.speed / Math.max(this.speed, 1), MAX_INTERCEPT_LEAD);
+        const ahead = planner.predictNode(player, lead);
+        return strategy === 'block' ? planner.busiestNodeNear(ahead, BLOCK_RADIUS) : ahead;
+    }
+
+    /**
+     * Player and bots whose car or trail comes within `radius` of this car.
+     * @returns {Array} {car, minX, minY, maxX, maxY} entries: each car with its bounding box.
+     */
+    nearbyCars(sensorData, radius) {
+        const nearby = [];
+        const consider = (car) => {
+            if (!car || car === this || car.crashed) return;
+            // A trail point is at most one tick of travel from the previous one
+            if (Utils.dist(this, car) > radius + car.trail.length * car.maxSpeed) return;
+            let minX = car.x, minY = car.y, maxX = car.x, maxY = car.y;
+            for (const p of car.trail) {
+                if (p.x < minX) minX = p.x; else if (p.x > maxX) maxX = p.x;
+                if (p.y < minY) minY = p.y; else if (p.y > maxY) maxY = p.y;
+            }
+            if (minX > this.x + radius || maxX < this.x - radius || minY > this.y + radius || maxY < this.y - radius) return;
+            nearby.push({ car, minX, minY, maxX, maxY });
+        };
+        (sensorData.players || [sensorData.player]).forEach(consider);
+        if (sensorData.bots) sensorData.bots.forEach(consider);
+        return nearby;
+    }
+
+    /**
+     * Looks ahead along a road for trails and oncoming cars on the same level.
+     * Past the road's end the scan carries on along the bot's planned route, or
+     * the straightest legal exit, until the whole distance is covered.
+     * @param {Object} road - Road to scan.
+     * @param {number} pointIndex - Segment of the road to start on.
+     * @param {Object} start - {x, y} on that segment to start from.
+     * @param {number} distance - How far ahead to look.
+     * @param {Array} nearby - Cars that may be in the way (see nearbyCars).
+     * @returns {number} Danger: 0 when clear, higher for more and nearer hazards.
+     */
+    scanRoad(road, pointIndex, start, distance, nearby) {
+        if (!nearby.length || distance <= 0) return 0;
+        let danger = 0;
+        let travelled = 0;
+        let from = start;
+        const scanned = new Set(); // Short loops would otherwise be scanned round and round
+
+        while (road && !scanned.has(road)) {
+            scanned.add(road);
+            const level = road.level;
+            for (let i = pointIndex; i < road.points.length - 1 && travelled < distance; i++) {
+                const to = road.points[i + 1];
+                const segmentLen = Utils.dist(from, to);
+                for (let d = Math.min(SCAN_STEP, segmentLen); d <= segmentLen && travelled + d <= distance; d += SCAN_STEP) {
+                    const t = segmentLen > 0 ? d / segmentLen : 1;
+                    const sample = { x: Utils.lerp(from.x, to.x, t), y: Utils.lerp(from.y, to.y, t) };
+                    const closeness = 1 - (travelled + d) / distance;
+
+                    for (const { car, minX, minY, maxX, maxY } of nearby) {
+                        if (sample.x < minX - CAR_CLEARANCE || sample.x > maxX + CAR_CLEARANCE ||
+                            sample.y < minY - CAR_CLEARANCE || sample.y > maxY + CAR_CLEARANCE) continue;
+                        if (car.currentRoad.level === level && Utils.dist(car, sample) < CAR_CLEARANCE) {
+                            danger += closeness * 2;
+                            continue;
+                        }
+                        const trail = car.trail;
+                        for (let j = 1; j < trail.length; j++) {
+                            if (trail[j].level === level && Utils.distToSegment(sample, trail[j - 1], trail[j]) < TRAIL_CLEARANCE) {
+                                danger += closeness;
+                                break;
+                            }
+                        }
+                    }
+                }
+                travelled += segmentLen;
+                from = to;
+            }
+            if (travelled >= distance) break;
+            road = this.scanExit(road);
+            pointIndex = 0;
+            if (road) from = road.points[0];
+        }
+        return danger;
+    }
+
+    // Road a look-ahead scan follows past the end of `road`: the planned one, else the straightest legal exit
+    scanExit(road) {
+        const planned = this.route.find(next => next.startNodeIdx === road.endNodeIdx);
+        if (planned) return planned;
+        const node = this.network.nodes[road.endNodeIdx];
+        if (!node) return null;
+        const points = road.points;
+        const heading = Utils.angleTo(points[points.length - 2], points[points.length - 1]);
+        let best = null;
+        for (const exit of this.legalExits(node)) {
+            if (exit.id === road.reverseId) continue;
+            if (!best || Math.abs(Utils.angleDiff(heading, exit.startAngle)) < Math.abs(Utils.angleDiff(heading, best.startAngle))) best = exit;
+        }
+        return best;
+    }
+
+    /**
+     * Marks the car as crashed and records the cause. The simulation stamps the
+     * tick and logs the record (a bot may respawn before then, the record stays).
+     * @param {string} reason - Shown to the player, e.g. "TRACE COLLISION".
+     * @param {Car} otherCar - Car whose trail was hit, or the head-on partner.
+     */
+    crashWith(reason, otherCar = null) {
+        this.crashed = true;
+        this.crashReason = reason;
+        this.crash = { car: this, reason, by: otherCar, x: this.x, y: this.y, tick: null };
+    }
+
+    /**
+     * Crashes this car if, during the last tick, it ran into the other car or its trail.
+     * Movement is swept from the previous to the current position, so fast cars
+     * cannot skip over a trail between ticks.
+     */
+    checkCollision(otherCar, avoid = null) {
         if (this.crashed || otherCar === this) return;
 
+        // Cars on a bridge pass over whatever is below it
+        const level = this.currentRoad.level;
+
         // Head-on check
-        if (!otherCar.crashed && Utils.dist({x: this.x, y: this.y}, {x: otherCar.x, y: otherCar.y}) < 8) {
-            this.crashed = true;
-            this.crashReason = "HEAD-ON COLLISION";
-            otherCar.crashed = true;
-            otherCar.crashReason = "HEAD-ON COLLISION";
+        if (!otherCar.crashed && otherCar.currentRoad.level === level && closestApproach(this, otherCar) < HEAD_ON_DISTANCE) {
+            this.crashWith("HEAD-ON COLLISION", otherCar);
+            otherCar.crashWith("HEAD-ON COLLISION", this);
             if (this.isBot && otherCar.isBot) {
-                this.spawn(avoidPoint);
-                otherCar.spawn(avoidPoint);
+                this.spawn(avoid);
+                otherCar.spawn(avoid);
             }
             return;
         }
 
         // Trail check
-        if (otherCar.trail.length < 2) return;
-        for (let i = 0; i < otherCar.trail.length; i++) {
-            const p = otherCar.trail[i];
-            if (p && Utils.dist({x: this.x, y: this.y}, p) < 4) { 
-                this.crashed = true;
-                this.crashReason = "TRACE COLLISION";
-                if (this.isBot && otherCar.isBot) this.spawn(avoidPoint);
+        const trail = otherCar.trail;
+        if (trail.length < 2) return;
+        const from = { x: this.prevX, y: this.prevY };
+        const minX = Math.min(this.prevX, this.x) - TRAIL_DISTANCE;
+        const maxX = Math.max(this.prevX, this.x) + TRAIL_DISTANCE;
+        const minY = Math.min(this.prevY, this.y) - TRAIL_DISTANCE;
+        const maxY = Math.max(this.prevY, this.y) + TRAIL_DISTANCE;
+        for (let i = 1; i < trail.length; i++) {
+            const a = trail[i - 1];
+            const b = trail[i];
+            if (b.level !== level) continue;
+            if (Math.max(a.x, b.x) < minX || Math.min(a.x, b.x) > maxX || Math.max(a.y, b.y) < minY || Math.min(a.y, b.y) > maxY) continue;
+            if (Utils.segmentDistance(from, this, a, b) < TRAIL_DISTANCE) {
+                this.crashWith("TRACE COLLISION", otherCar);
+                if (this.isBot && otherCar.isBot) this.spawn(avoid);
                 return;
             }
         }
     }
-}
\ No newline at end of file
+}
+
+if (typeof module !== 'undefined') module.exports = Car;
\ No newline at end of file
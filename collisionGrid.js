@@ -0,0 +1,76 @@
+/**
+ * COLLISION GRID
+ * Spatial hash of every car's movement this tick and its trail segments, rebuilt
+ * each tick. Narrows collision checks down to cars that share a cell, so the
+ * cost grows with the number of cars instead of the number of car pairs.
+ */
+class CollisionGrid {
+    constructor() {
+        this.CELL_SIZE = 64; // Larger than a tick of travel and a trail segment
+        this.MARGIN = 8;     // Largest collision distance (head-on)
+        this.cells = new Map(); // Cell key -> cars with something in that cell
+    }
+
+    // Numeric cell key; columns and rows stay well inside +-32768 on city maps
+    key(col, row) {
+        return (col + 32768) * 65536 + (row + 32768);
+    }
+
+    /**
+     * Replaces the grid contents with the given cars.
+     * @param {Array} cars - Cars still in play (crashed cars are skipped).
+     */
+    rebuild(cars) {
+        this.cells.clear();
+        for (const car of cars) {
+            if (!car || car.crashed) continue;
+            this.insertSegment(car, car.prevX, car.prevY, car.x, car.y);
+            const trail = car.trail;
+            for (let i = 1; i < trail.length; i++) {
+                this.insertSegment(car, trail[i - 1].x, trail[i - 1].y, trail[i].x, trail[i].y);
+            }
+        }
+    }
+
+    insertSegment(car, x1, y1, x2, y2) {
+        const startCol = Math.floor(Math.min(x1, x2) / this.CELL_SIZE);
+        const endCol = Math.floor(Math.max(x1, x2) / this.CELL_SIZE);
+        const startRow = Math.floor(Math.min(y1, y2) / this.CELL_SIZE);
+        const endRow = Math.floor(Math.max(y1, y2) / this.CELL_SIZE);
+
+        for (let c = startCol; c <= endCol; c++) {
+            for (let r = startRow; r <= endRow; r++) {
+                const key = this.key(c, r);
+                const cell = this.cells.get(key);
+                if (!cell) this.cells.set(key, [car]);
+                else if (cell[cell.length - 1] !== car) cell.push(car); // Consecutive segments often share a cell
+            }
+        }
+    }
+
+    /**
+     * Cars whose movement or trail passes near the given car's movement this tick.
+     * @returns {Set} candidate cars for Car.checkCollision (never includes `car`).
+     */
+    nearby(car) {
+        const margin = this.MARGIN;
+        const startCol = Math.floor((Math.min(car.prevX, car.x) - margin) / this.CELL_SIZE);
+        const endCol = Math.floor((Math.max(car.prevX, car.x) + margin) / this.CELL_SIZE);
+        const startRow = Math.floor((Math.min(car.prevY, car.y) - margin) / this.CELL_SIZE);
+        const endRow = Math.floor((Math.max(car.prevY, car.y) + margin) / this.CELL_SIZE);
+
+        const found = new Set();
+        for (let c = startCol; c <= endCol; c++) {
+            for (let r = startRow; r <= endRow; r++) {
+                const cell = this.cells.get(this.key(c, r));
+                if (!cell) continue;
+                for (const other of cell) {
+                    if (other !== car) found.add(other);
+                }
+            }
+        }
+        return found;
+    }
+}
+
+if (typeof module !== 'undefined') module.exports = CollisionGrid;
@@ -0,0 +1,168 @@
+/**
+ * KEYBOARD SETS & GAMEPADS
+ * One control scheme per local player: a keyboard set or a gamepad (Gamepad API).
+ * Each reads into the same {mouseAngle, accelerating, braking} input the
+ * mouse-driven InputHandler produces, with the angle taken relative to the car.
+ * Gamepads also drive a single player, and START restarts a run or opens the menu.
+ */
+const KEYBOARD_SETS = [
+    { name: 'WASD',   up: 'KeyW',    down: 'KeyS',      left: 'KeyA',      right: 'KeyD' },
+    { name: 'ARROWS', up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight' },
+    { name: 'IJKL',   up: 'KeyI',    down: 'KeyK',      left: 'KeyJ',      right: 'KeyL' },
+    { name: 'NUMPAD', up: 'Numpad8', down: 'Numpad5',   left: 'Numpad4',   right: 'Numpad6' }
+];
+
+class KeyboardControls {
+    constructor(keys) {
+        this.keys = keys;
+        this.name = keys.name;
+        this.held = new Set();
+        this.enabled = false; // Only listens while a split-screen run is driven with this set
+        const codes = [keys.up, keys.down, keys.left, keys.right];
+
+        document.addEventListener('keydown', e => {
+            if (!this.enabled || !codes.includes(e.code)) return;
+            if (e.target && /^(INPUT|SELECT|TEXTAREA)$/.test(e.target.tagName)) return; // Typing in a form field
+            if (e.code.startsWith('Arrow')) e.preventDefault(); // Keep the page from scrolling
+            this.held.add(e.code);
+        });
+        document.addEventListener('keyup', e => this.held.delete(e.code));
+        window.addEventListener('blur', () => this.held.clear()); // Keys released while unfocused never fire keyup
+    }
+
+    // Left/right aim a quarter turn off the car's heading, so the next junction takes that side
+    read(car) {
+        const turn = (this.held.has(this.keys.right) ? 1 : 0) - (this.held.has(this.keys.left) ? 1 : 0);
+        return {
+            mouseAngle: car.angle + turn * Math.PI / 2,
+            accelerating: this.held.has(this.keys.up),
+            braking: this.held.has(this.keys.down)
+        };
+    }
+}
+
+// Standard gamepad mapping (https://w3c.github.io/gamepad/#remapping)
+const GAMEPAD_BUTTONS = { a: 0, b: 1, leftTrigger: 6, rightTrigger: 7, start: 9 };
+const GAMEPAD_DEAD_ZONE = 0.25;      // Stick deflection ignored as drift
+const GAMEPAD_TRIGGER_THRESHOLD = 0.2; // Analog trigger travel that counts as pressed
+
+class GamepadControls {
+    constructor(index) {
+        this.index = index;
+        this.name = `GAMEPAD ${index + 1}`;
+        this.lastUsed = 0; // performance.now() of the last stick or button activity
+        this.down = new Set(); // Buttons held at the last justPressed() check
+    }
+
+    // The live Gamepad object, or null once unplugged
+    pad() {
+        const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+        return pads[this.index] || null;
+    }
+
+    pressed(pad, button) {
+        const b = pad.buttons[button];
+        if (!b) return false;
+        return b.pressed || b.value > GAMEPAD_TRIGGER_THRESHOLD;
+    }
+
+    /**
+     * Left stick points the way to go, like the mouse does; centered keeps the car's heading.
+     * Right trigger or A accelerates, left trigger or B brakes.
+     */
+    read(car) {
+        const pad = this.pad();
+        if (!pad) return { mouseAngle: car.angle, accelerating: false, braking: false };
+        const [x = 0, y = 0] = pad.axes;
+        const steering = Math.hypot(x, y) > GAMEPAD_DEAD_ZONE; // Radial, so diagonals are not cut short
+        const accelerating = this.pressed(pad, GAMEPAD_BUTTONS.rightTrigger) || this.pressed(pad, GAMEPAD_BUTTONS.a);
+        const braking = this.pressed(pad, GAMEPAD_BUTTONS.leftTrigger) || this.pressed(pad, GAMEPAD_BUTTONS.b);
+        if (steering || accelerating || braking) this.lastUsed = performance.now();
+        return {
+            mouseAngle: steering ? Math.atan2(y, x) : car.angle,
+            accelerating,
+            braking
+        };
+    }
+
+    // True once per press: the button is down now and was not at the last check
+    justPressed(button) {
+        const pad = this.pad();
+        const pressed = !!pad && this.pressed(pad, button);
+        const was = this.down.has(button);
+        if (pressed) this.down.add(button);
+        else this.down.delete(button);
+        return pressed && !was;
+    }
+
+    // Short vibration, on controllers and browsers that support one
+    rumble(duration = 300, strength = 1) {
+        const pad = this.pad();
+        if (!pad) return;
+        const actuator = pad.vibrationActuator;
+        if (actuator && actuator.playEffect) {
+            actuator.playEffect('dual-rumble', { duration, strongMagnitude: strength, weakMagnitude: strength })
+                .catch(() => {}); // Rejected when the page lacks focus or the pad cannot rumble
+        } else if (pad.hapticActuators && pad.hapticActuators[0]) {
+            pad.hapticActuators[0].pulse(strength, duration); // Older Firefox API
+        }
+    }
+}
+
+// Keys that queue the next turn in relative steering
+const TURN_KEYS = {
+    ArrowLeft: 'left', KeyA: 'left',
+    ArrowRight: 'right', KeyD: 'right',
+    Space: 'straight'
+};
+
+/**
+ * Relative steering for keyboard-only play: Left / Right / Straight queue which
+ * exit to take at the next junction, relative to the car's heading. The queued
+ * turn becomes the mouseAngle of that exit, so recordings, replays and the
+ * network server see ordinary input.
+ */
+class RelativeSteering {
+    constructor() {
+        this.queuedTurn = null; // 'left', 'right', 'straight' or null (straight on by default)
+        this.road = null;       // Road the car was on at the last read
+        this.choices = 0;       // Exits at the end of that road
+        this.enabled = false;   // Only listens while a run is driven this way
+        this.lastUsed = 0;      // performance.now() of the last turn key, to hand over from a gamepad
+
+        document.addEventListener('keydown', e => {
+            const turn = TURN_KEYS[e.code];
+            if (!turn || !this.enabled) return;
+            e.preventDefault(); // Space would click the focused menu button, arrows scroll
+            this.queuedTurn = turn;
+            this.lastUsed = performance.now();
+        });
+    }
+
+    /**
+     * Input for the next tick.
+     * @param {Object} pedals - Where throttle and brake come from (the InputHandler).
+     */
+    read(car, pedals) {
+        // Moving on from a real junction uses up the queued turn; a bend in the road does not
+        if (car.currentRoad !== this.road) {
+            if (this.choices > 1) this.queuedTurn = null;
+            this.road = car.currentRoad;
+        }
+        this.choices = car.crashed ? 0 : car.upcomingExits().length;
+
+        const exit = car.crashed ? null : car.exitForTurn(this.queuedTurn || 'straight');
+        return {
+            mouseAngle: exit ? exit.startAngle : car.angle,
+            accelerating: pedals.accelerating,
+            braking: pedals.braking
+        };
+    }
+
+    reset(enabled) {
+        this.enabled = enabled;
+        this.queuedTurn = null;
+        this.road = null;
+        this.choices = 0;
+    }
+}
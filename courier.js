@@ -0,0 +1,108 @@
+/**
+ * COURIER MODE
+ * Sends the player to one named street after another, scoring each delivery by
+ * how quickly it was made compared to a par time for the route.
+ */
+class Courier {
+    // Targets start at least this far away; par time assumes this average speed (units per tick)
+    static MIN_DISTANCE = 800;
+    static PAR_SPEED = 6;
+    static BASE_POINTS = 100;
+    static TIME_BONUS = 500; // Full bonus at or under par, shrinking the longer it takes
+
+    constructor(network, rng) {
+        this.network = network;
+        this.rng = rng;
+
+        // The player's route hint may span the whole map, so it gets its own unthrottled planner
+        this.planner = new PathPlanner(network);
+        this.planner.EXPANSIONS_PER_TICK = Infinity;
+        this.planner.MAX_EXPANSIONS_PER_SEARCH = Infinity;
+
+        // Street name -> its roads, for named streets in the main network
+        this.streets = new Map();
+        for (const road of network.spawnRoads) {
+            const name = road.properties.name;
+            if (!name) continue;
+            if (!this.streets.has(name)) this.streets.set(name, []);
+            this.streets.get(name).push(road);
+        }
+
+        this.target = null; // {street, roads, point, goalRoad, startTick, parTicks}
+        this.route = [];     // Roads from the player's next junction up to and including goalRoad
+        this.routeFrom = null; // Road the route was planned from
+        this.deliveries = 0;
+        this.lastDelivery = null; // {street, points, tick}
+    }
+
+    /**
+     * Picks the next street to deliver to, away from the player. Never the street
+     * the player is on, nor the one just delivered to, so no delivery comes free.
+     * @param {string} delivered - Street of the delivery just made, if any.
+     */
+    assign(player, tick, delivered = null) {
+        const candidates = [...this.streets.keys()].filter(name =>
+            name !== player.currentRoad.properties.name && name !== delivered);
+        const far = candidates.filter(name =>
+            this.streets.get(name).every(road => Utils.dist(road.points[0], player) > Courier.MIN_DISTANCE));
+        const street = this.rng.pick(far.length ? far : candidates);
+        if (street === undefined) {
+            this.target = null; // Map has no other named streets
+            return;
+        }
+
+        // Aim for the part of the street nearest to the player
+        const roads = this.streets.get(street);
+        let nearest = roads[0];
+        for (const road of roads) {
+            if (Utils.dist(road.points[0], player) < Utils.dist(nearest.points[0], player)) nearest = road;
+        }
+        this.target = {
+            street,
+            roads,
+            point: nearest.points[Math.floor(nearest.points.length / 2)],
+            goalRoad: nearest,
+            startTick: tick,
+            parTicks: 0
+        };
+        this.routeFrom = null;
+        this.updateRoute(player);
+        this.target.parTicks = (this.routeLength() || Utils.dist(player, this.target.point)) / Courier.PAR_SPEED;
+    }
+
+    /**
+     * Checks for a delivery and keeps the route hint current.
+     * @returns {number} Points earned this tick (0 unless the player just delivered).
+     */
+    update(player, tick) {
+        if (!this.target) return 0;
+
+        if (player.currentRoad.properties.name === this.target.street) {
+            const elapsed = Math.max(tick - this.target.startTick, 1);
+            const points = Courier.BASE_POINTS + Math.round(Courier.TIME_BONUS * Math.min(1, this.target.parTicks / elapsed));
+            this.deliveries++;
+            this.lastDelivery = { street: this.target.street, points, tick };
+            this.assign(player, tick, this.target.street);
+            return points;
+        }
+
+        this.updateRoute(player);
+        return 0;
+    }
+
+    // Replans once per road, when the player has committed to a new segment
+    updateRoute(player) {
+        if (player.currentRoad === this.routeFrom) return;
+        this.routeFrom = player.currentRoad;
+        this.planner.beginTick();
+        const goalRoad = this.target.goalRoad;
+        const path = this.planner.findPath(player.currentRoad.endNodeIdx, goalRoad.startNodeIdx);
+        this.route = path ? [...path, goalRoad] : [];
+    }
+
+    routeLength() {
+        return this.route.reduce((sum, road) => sum + road.length, 0);
+    }
+}
+
+if (typeof module !== 'undefined') module.exports = Courier;
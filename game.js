@@ -12,102 +12,577 @@ window.addEventListener('resize', () => {
 });
 
 const network = new RoadNetwork();
+const sim = new Simulation(network);
 const input = new InputHandler();
 const sound = new SoundController();
+const recorder = new InputRecorder();
+const leaderboard = new Leaderboard(openStorage());
 
-let player = null;
-let bots = [];
-let cameraZoom = 1;
 let isGameRunning = false;
 let animationFrameId = null; 
 let lastTime = 0;
-const FPS_LIMIT = 60;
-const FRAME_MIN_TIME = 1000 / FPS_LIMIT;
-let smoothSpeedKmh = 0;
-let mapBounds = null;
+let accumulator = 0; // Real time not yet consumed by simulation ticks (ms)
+const TICK_MS = 1000 / Simulation.TICK_RATE;
+const MAX_FRAME_MS = 250; // Clamp long stalls (background tab) instead of fast-forwarding through them
+const TURN_PREVIEW_LENGTH = 120; // How much of each exit the junction preview lights up (world units)
+let views = []; // Per player camera state: {zoom, speedKmh}
+let viewport = { x: 0, y: 0, width: canvas.width, height: canvas.height }; // Screen area being drawn
 
 let currentMapUrl = 'maps/pula.json';
-let currentBotCount = 0;
+let loadedMapUrl = null; // Map currently parsed into the network, null if none or if loading failed
+let localMapFile = null; // Map the user opened from disk, referenced as LOCAL_MAP_PREFIX + file name
+const LOCAL_MAP_PREFIX = 'file:';
+const MAP_MANIFEST_URL = 'maps/index.json';
+let mapManifest = new Map(); // Map URL -> manifest entry, with graphUrl resolved if precompiled
+let currentConfig = { ...Simulation.DEFAULT_CONFIG }; // A null seed picks a fresh random seed every run
+let replay = null; // ReplayPlayer while watching a recording, null during live play
+let netClient = null; // NetClient while playing on a LAN server
+let activeInput = input; // Input fed to the last tick (live controls or replayed frame), one per player in split screen
+const keyboardControls = KEYBOARD_SETS.map(keys => new KeyboardControls(keys));
+const relativeSteering = new RelativeSteering(); // Turns queued with the keys instead of aimed with the mouse
+let controls = []; // Split screen: each player's keyboard set or gamepad, empty when the mouse drives alone
+const gamepads = new Map(); // Gamepad index -> GamepadControls, kept current as pads are plugged in and out
+let soloPad = null; // Gamepad driving a single-player run, null while the mouse/keys do
+let showGraphDebug = false; // Highlights map fragments and dead ends (toggle with G)
+let lastRunRank = 0; // Leaderboard rank of the run that just ended (1 = new record, 0 = not on the board)
 
 const menu = document.getElementById('menu');
 const startBtn = document.getElementById('startBtn');
 const mapInput = document.getElementById('mapInput');
 const botInput = document.getElementById('botInput');
+const seedInput = document.getElementById('seedInput');
+const rulesInput = document.getElementById('rulesInput');
+const difficultyInput = document.getElementById('difficultyInput');
+const modeInput = document.getElementById('modeInput');
+const playersInput = document.getElementById('playersInput');
+const steeringInput = document.getElementById('steeringInput');
+const replayInput = document.getElementById('replayInput');
+const loadReplayBtn = document.getElementById('loadReplayBtn');
+const saveReplayBtn = document.getElementById('saveReplayBtn');
+const mapFileInput = document.getElementById('mapFileInput');
+const loadMapBtn = document.getElementById('loadMapBtn');
+const menuError = document.getElementById('menuError');
+const mapInfo = document.getElementById('mapInfo');
+const leaderboardList = document.getElementById('leaderboard');
+const exportScoresBtn = document.getElementById('exportScoresBtn');
+const importScoresBtn = document.getElementById('importScoresBtn');
+const scoresInput = document.getElementById('scoresInput');
+const serverInput = document.getElementById('serverInput');
+const joinBtn = document.getElementById('joinBtn');
 
 startBtn.addEventListener('click', () => {
     const map = mapInput.value;
-    const count = parseInt(botInput.value) || 0;
+    const entry = mapManifest.get(map);
+    const config = {
+        botCount: parseInt(botInput.value) || 0,
+        seed: Random.parseSeed(seedInput.value),
+        trafficRules: rulesInput.value,
+        difficulty: difficultyInput.value,
+        mode: modeInput.value,
+        players: parseInt(playersInput.value) || 1,
+        spawnStreet: entry ? entry.spawnStreet : null
+    };
     menu.style.display = 'none';
-    initGame(map, count);
+    initGame(map, config);
+});
+
+mapInput.addEventListener('change', () => {
+    const entry = mapManifest.get(mapInput.value);
+    if (entry && entry.recommendedBots !== undefined) botInput.value = entry.recommendedBots;
+    previewSelectedMap();
+    showLeaderboard();
+});
+
+botInput.addEventListener('input', showLeaderboard);
+modeInput.addEventListener('change', showLeaderboard);
+difficultyInput.addEventListener('change', showLeaderboard);
+
+loadMapBtn.addEventListener('click', () => mapFileInput.click());
+
+mapFileInput.addEventListener('change', () => {
+    const file = mapFileInput.files[0];
+    mapFileInput.value = '';
+    if (file) openLocalMap(file);
+});
+
+// Drag & drop a map file anywhere on the menu
+menu.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    menu.classList.add('drag-over');
+});
+menu.addEventListener('dragleave', (e) => {
+    if (e.target === menu) menu.classList.remove('drag-over');
+});
+menu.addEventListener('drop', (e) => {
+    e.preventDefault();
+    menu.classList.remove('drag-over');
+    const file = e.dataTransfer.files[0];
+    if (file) openLocalMap(file);
+});
+
+loadReplayBtn.addEventListener('click', () => replayInput.click());
+
+replayInput.addEventListener('change', async () => {
+    const file = replayInput.files[0];
+    replayInput.value = '';
+    if (!file) return;
+
+    let recording;
+    try {
+        recording = ReplayPlayer.parse(await file.text());
+    } catch (err) {
+        showMenuError("Invalid replay: " + err.message);
+        return;
+    }
+    menu.style.display = 'none';
+    initGame(recording.map, recording.config, recording);
+});
+
+saveReplayBtn.addEventListener('click', saveReplay);
+
+joinBtn.addEventListener('click', () => joinServer(serverInput.value.trim()));
+
+exportScoresBtn.addEventListener('click', () => {
+    const blob = new Blob([leaderboard.toJSON()], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'neondrive-leaderboard.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+});
+
+importScoresBtn.addEventListener('click', () => scoresInput.click());
+
+scoresInput.addEventListener('change', async () => {
+    const file = scoresInput.files[0];
+    scoresInput.value = '';
+    if (!file) return;
+
+    try {
+        leaderboard.import(await file.text());
+    } catch (err) {
+        showMenuError("Invalid leaderboard: " + err.message);
+        return;
+    }
+    showMenuError(null);
+    showLeaderboard();
 });
 
 window.addEventListener('keydown', (e) => {
     if (e.code === 'Escape' && isGameRunning) {
-        stopGame();
-        menu.style.display = 'flex';
+        openMenu();
+        return;
+    }
+
+    if (!isGameRunning) return;
+    if (e.code === 'KeyE' && !replay && !netClient) saveReplay();
+    if (e.code === 'KeyG') showGraphDebug = !showGraphDebug;
+
+    // Playback controls
+    if (replay) {
+        if (e.code === 'Space') {
+            e.preventDefault(); // Keep the focused menu button from being clicked
+            replay.togglePause();
+        }
+        if (e.code === 'KeyF') replay.cycleSpeed();
+        if (e.code === 'Period' && replay.paused) stepTick();
     }
 });
 
+// Downloads the last recorded run as a JSON file
+function saveReplay() {
+    if (!recorder.hasData()) return;
+    const { map, config: { seed } } = recorder.recording;
+    const mapName = map.replace(LOCAL_MAP_PREFIX, '').split('/').pop().replace(/\.[^.]+$/, '');
+    const blob = new Blob([recorder.toJSON()], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `neondrive-${mapName}-${seed}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+function openMenu() {
+    stopGame();
+    leaveServer();
+    relativeSteering.reset(false);
+    saveReplayBtn.disabled = !recorder.hasData();
+    showLeaderboard();
+    menu.style.display = 'flex';
+    assignControls(); // Hands the arrow keys back to the menu
+}
+
+// Hot-plugging: pads present at load, then connect/disconnect events (browsers only reveal a pad once a button is pressed)
+for (const pad of navigator.getGamepads ? navigator.getGamepads() : []) {
+    if (pad) gamepads.set(pad.index, new GamepadControls(pad.index));
+}
+window.addEventListener('gamepadconnected', (e) => {
+    gamepads.set(e.gamepad.index, new GamepadControls(e.gamepad.index));
+    assignControls();
+});
+window.addEventListener('gamepaddisconnected', (e) => {
+    gamepads.delete(e.gamepad.index);
+    assignControls();
+});
+
+// Split screen: player n drives with gamepad n when one is plugged in, else with keyboard set n.
+// Keyboard sets only listen while they drive a live run, so the menu keeps its arrow keys.
+function assignControls() {
+    controls = sim.players.length > 1 ? sim.players.map((player, i) => gamepads.get(i) || keyboardControls[i]) : [];
+    const driving = !replay && menu.style.display === 'none';
+    keyboardControls.forEach(keys => {
+        keys.enabled = driving && controls.includes(keys);
+        if (!keys.enabled) keys.held.clear();
+    });
+    if (soloPad && !gamepads.has(soloPad.index)) soloPad = null;
+}
+
+// Alone, the player drives with whatever was used last: mouse, touch and keys, or any gamepad
+function soloInput(car) {
+    let chosen = relativeSteering.enabled ? relativeSteering.read(car, input) : input;
+    const keysUsed = Math.max(input.lastUsed, relativeSteering.lastUsed);
+    soloPad = null;
+    for (const pad of gamepads.values()) {
+        const padInput = pad.read(car);
+        if (pad.lastUsed > Math.max(keysUsed, soloPad ? soloPad.lastUsed : 0)) {
+            chosen = padInput;
+            soloPad = pad;
+        }
+    }
+    return chosen;
+}
+
+// START on any gamepad: start from the menu, restart a finished run, or leave a running one for the menu
+function pollGamepadButtons() {
+    requestAnimationFrame(pollGamepadButtons);
+    for (const pad of gamepads.values()) {
+        if (!pad.justPressed(GAMEPAD_BUTTONS.start)) continue;
+        if (menu.style.display !== 'none') startBtn.click();
+        else if (isGameRunning && sim.isOver() && !replay && !netClient) startRun();
+        else if (isGameRunning) openMenu();
+    }
+}
+pollGamepadButtons();
+
 const handleRestart = (e) => {
-    if (!isGameRunning) return;
+    if (!isGameRunning || replay || netClient) return;
     if (e.type === 'mousedown' && e.button !== 0) return;
 
-    if (player && player.crashed) {
-        player = new Car(network, false);
-        const playerPos = { x: player.x, y: player.y };
-        bots = [];
-        for (let i = 0; i < currentBotCount; i++) {
-            bots.push(new Car(network, true, playerPos));
-        }
-        smoothSpeedKmh = 0;
+    if (sim.isOver()) {
+        startRun();
     }
 };
 
 canvas.addEventListener('mousedown', handleRestart);
 canvas.addEventListener('touchstart', handleRestart);
 
-async function initGame(mapUrl, botCount) {
+/**
+ * Loads a map and starts playing.
+ * @param {Object} recording - Optional parsed replay; when given, its inputs drive the player.
+ */
+async function initGame(mapUrl, config, recording = null) {
     stopGame();
+    leaveServer();
     await sound.init();
 
     currentMapUrl = mapUrl;
-    currentBotCount = botCount;
-    smoothSpeedKmh = 0;
+    currentConfig = { ...Simulation.DEFAULT_CONFIG, ...config };
+    replay = recording ? new ReplayPlayer(recording) : null;
+    showMenuError(null);
     
     try {
-        await network.load(currentMapUrl);
-        
-        // Calculate map boundaries based on all road points
-        mapBounds = network.roads.reduce((acc, road) => {
-            road.points.forEach(p => {
-                if (p.x < acc.minX) acc.minX = p.x;
-                if (p.x > acc.maxX) acc.maxX = p.x;
-                if (p.y < acc.minY) acc.minY = p.y;
-                if (p.y > acc.maxY) acc.maxY = p.y;
-            });
-            return acc;
-        }, { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity });
-        
+        await loadMap(currentMapUrl);
     } catch (err) {
-        console.error(err);
-        alert("Failed to load map.");
+        reportMapError(err);
         menu.style.display = 'flex';
         return;
     }
 
-    player = new Car(network, false);
-    const playerPos = { x: player.x, y: player.y };
-    
-    bots = [];
-    for (let i = 0; i < currentBotCount; i++) {
-        bots.push(new Car(network, true, playerPos));
+    startRun();
+
+    isGameRunning = true;
+    lastTime = performance.now();
+    accumulator = 0;
+    loop(lastTime);
+}
+
+/**
+ * Joins a LAN server (server.js) and plays its rounds until ESC.
+ * @param {string} address - "host:port", or empty for the server this page was loaded from.
+ */
+async function joinServer(address) {
+    stopGame();
+    leaveServer();
+    showMenuError(null);
+    await sound.init();
+
+    const client = new NetClient();
+    try {
+        const welcome = await client.connect(NetClient.urlFor(address));
+        await loadMap(welcome.map);
+    } catch (err) {
+        client.disconnect();
+        reportMapError(err instanceof MapError ? err : new MapError(`Could not join the server: ${err.message}`));
+        return;
     }
+    client.start(network);
+    client.onCrash = () => { if (soloPad) soloPad.rumble(); };
+    client.onClose = () => {
+        openMenu();
+        showMenuError("Disconnected from the server.");
+    };
+    netClient = client;
+    replay = null;
+    controls = [];
+    relativeSteering.reset(steeringInput.value === 'relative');
+    activeInput = input;
+    views = [{ zoom: 1, speedKmh: 0 }];
+    lastRunRank = 0;
+    menu.style.display = 'none';
 
     isGameRunning = true;
     lastTime = performance.now();
+    accumulator = 0;
     loop(lastTime);
 }
 
+function leaveServer() {
+    if (!netClient) return;
+    netClient.disconnect();
+    netClient = null;
+}
+
+/**
+ * Parses a map into the network, unless it is the one already loaded.
+ * @param {string} mapUrl - Map URL, or LOCAL_MAP_PREFIX + name for the opened local file.
+ */
+async function loadMap(mapUrl) {
+    if (mapUrl === loadedMapUrl) return;
+    loadedMapUrl = null;
+
+    if (mapUrl.startsWith(LOCAL_MAP_PREFIX)) {
+        const name = mapUrl.slice(LOCAL_MAP_PREFIX.length);
+        if (!localMapFile || localMapFile.name !== name) {
+            throw new MapError(`This needs the local map "${name}". Open it with LOAD MAP FILE first.`);
+        }
+        await network.loadFile(localMapFile);
+    } else {
+        // Precompiled graphs build the same network, just faster
+        const entry = mapManifest.get(mapUrl);
+        await network.load(entry && entry.graphUrl ? entry.graphUrl : mapUrl);
+    }
+    loadedMapUrl = mapUrl;
+}
+
+// Validates a map file from disk and adds it to the map list
+async function openLocalMap(file) {
+    showMenuError(null);
+    localMapFile = file;
+    const mapUrl = LOCAL_MAP_PREFIX + file.name;
+    loadedMapUrl = null; // Same name may be a different file, always re-parse
+
+    try {
+        await loadMap(mapUrl);
+    } catch (err) {
+        reportMapError(err);
+        return;
+    }
+
+    let option = [...mapInput.options].find(o => o.value === mapUrl);
+    if (!option) {
+        option = new Option(`${file.name} (local)`, mapUrl);
+        mapInput.add(option);
+    }
+    mapInput.value = mapUrl;
+    previewSelectedMap();
+}
+
+// Builds the map list from the manifest (maps/index.json)
+async function loadManifest() {
+    let manifest;
+    try {
+        const response = await fetch(MAP_MANIFEST_URL);
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+        manifest = await response.json();
+    } catch (err) {
+        showMenuError(`Could not load the map list (${MAP_MANIFEST_URL}): ${err.message}`);
+        return;
+    }
+
+    // Manifest paths are relative to the manifest itself
+    const baseUrl = MAP_MANIFEST_URL.replace(/[^/]*$/, '');
+    mapManifest = new Map();
+    for (const entry of manifest.maps || []) {
+        const url = baseUrl + entry.file;
+        mapManifest.set(url, { ...entry, graphUrl: entry.graph ? baseUrl + entry.graph : null });
+        mapInput.add(new Option(entry.name, url));
+    }
+
+    if (mapInput.options.length) mapInput.dispatchEvent(new Event('change'));
+}
+
+// Loads the selected map in the background and shows its size and attribution
+async function previewSelectedMap() {
+    const mapUrl = mapInput.value;
+    const entry = mapManifest.get(mapUrl);
+    mapInfo.textContent = "LOADING...";
+    showMenuError(null);
+
+    try {
+        await loadMap(mapUrl);
+    } catch (err) {
+        if (mapInput.value !== mapUrl) return;
+        mapInfo.textContent = '';
+        reportMapError(err);
+        return;
+    }
+    if (mapInput.value !== mapUrl) return; // Selection changed while loading
+
+    const stats = network.getStats();
+    const lines = [
+        `${stats.ways} roads · ${Math.round(stats.segments)} segments · ${stats.widthKm.toFixed(1)} × ${stats.heightKm.toFixed(1)} km`,
+        `${stats.lengthKm.toFixed(0)} km of road · ${Math.round(stats.mainShare * 100)}% connected · ${stats.deadEnds} dead ends`,
+        describeLoad(network.loadStats)
+    ];
+    if (entry) {
+        const date = entry.timestamp ? entry.timestamp.slice(0, 10) : 'unknown date';
+        lines.push(`${entry.attribution || 'Unknown source'} (${date})`);
+    }
+    mapInfo.textContent = lines.join('\n');
+}
+
+loadManifest();
+
+// e.g. "compiled graph · 0.6 MB in 140 ms (parse 90 ms) · ~3.6 MB in memory"
+function describeLoad(loadStats) {
+    const mb = (bytes) => (bytes / 1048576).toFixed(1);
+    const source = loadStats.format === 'compiled' ? 'compiled graph' : loadStats.format;
+    return `${source} · ${mb(loadStats.bytes)} MB in ${loadStats.totalMs} ms (parse ${loadStats.parseMs} ms) · ` +
+        `~${mb(loadStats.memoryBytes)} MB in memory`;
+}
+
+function reportMapError(err) {
+    if (err instanceof MapError) {
+        showMenuError(err.message);
+    } else {
+        console.error(err);
+        showMenuError("Failed to load map: " + err.message);
+    }
+}
+
+// Shows a message in the menu, or hides it when message is null
+function showMenuError(message) {
+    menuError.textContent = message || '';
+    menuError.style.display = message ? 'block' : 'none';
+}
+
+function startRun() {
+    sim.reset(currentConfig);
+    if (!replay) recorder.start(currentMapUrl, { ...sim.config, seed: sim.seed });
+    activeInput = input;
+    assignControls();
+    relativeSteering.reset(!replay && sim.players.length === 1 && steeringInput.value === 'relative');
+    // Audio jitter follows the run's seed without consuming the simulation's sequence
+    sound.rng = sim.rng.fork(1);
+    views = sim.players.map(() => ({ zoom: 1, speedKmh: 0 }));
+    lastRunRank = 0;
+}
+
+// Advances the simulation by one tick, feeding live or replayed input
+function stepTick() {
+    if (netClient) {
+        // The server runs the world; only our own car moves here, ahead of its snapshots
+        if (!netClient.localCar) return;
+        activeInput = soloInput(netClient.localCar);
+        netClient.step(activeInput);
+        return;
+    }
+    if (replay) {
+        if (replay.isFinished(sim.tick)) {
+            replay.paused = true;
+            return;
+        }
+        activeInput = replay.inputAt(sim.tick);
+    } else {
+        activeInput = controls.length ? controls.map((control, i) => control.read(sim.players[i])) : soloInput(sim.player);
+        // The run ends for the recording once the player crashes (or time runs out)
+        if (!sim.isOver()) recorder.record(activeInput);
+    }
+    const wasOver = sim.isOver();
+    const wasCrashed = sim.players.map(player => player.crashed);
+    sim.step(activeInput);
+    if (!replay) rumbleOnCrash(wasCrashed);
+    // The leaderboard is for single-player runs
+    if (!replay && !wasOver && sim.isOver() && sim.players.length === 1) recordRun();
+}
+
+// Pulses the gamepad of each player who crashed this tick
+function rumbleOnCrash(wasCrashed) {
+    sim.players.forEach((player, i) => {
+        if (!player.crashed || wasCrashed[i]) return;
+        const pad = controls.length ? controls[i] : soloPad;
+        if (pad instanceof GamepadControls) pad.rumble();
+    });
+}
+
+// Puts the live run that just ended on the leaderboard, with what its mode is ranked by
+function recordRun() {
+    const score = sim.score;
+    const entry = {
+        survival: Math.round(score.survivalTicks / Simulation.TICK_RATE * 10) / 10,
+        kills: score.kills,
+        distance: Math.round(score.distance),
+        topSpeed: Math.round(score.topSpeed * Simulation.TICK_RATE * 3.6),
+        score: score.points,
+        seed: sim.seed,
+        difficulty: sim.config.difficulty,
+        date: new Date().toISOString()
+    };
+    if (sim.config.mode === 'waves') entry.wave = sim.wave;
+    if (sim.config.mode === 'courier') entry.deliveries = score.deliveries;
+    if (sim.territory) {
+        const leader = sim.territory.leader();
+        entry.territory = Math.round(sim.territory.lengths[Territory.teamOf(sim.player)] / 100) / 10;
+        entry.result = leader === null ? 'draw' : leader === Territory.teamOf(sim.player) ? 'win' : 'loss';
+    }
+    lastRunRank = leaderboard.add(currentMapUrl, sim.config.botCount, sim.config.mode, entry);
+}
+
+// localStorage, or null where the browser blocks it (then scores last for the session only)
+function openStorage() {
+    try {
+        return window.localStorage;
+    } catch (err) {
+        return null;
+    }
+}
+
+// Lists the best runs for the selected map, bot count, mode and difficulty in the menu
+function showLeaderboard() {
+    const difficulty = difficultyInput.value;
+    const entries = leaderboard.entries(mapInput.value, parseInt(botInput.value) || 0, modeInput.value, difficulty).slice(0, 5);
+    if (!entries.length) {
+        leaderboardList.textContent = `NO ${difficulty.toUpperCase()} RUNS YET ON THIS MAP WITH THIS MANY BOTS IN THIS MODE`;
+        return;
+    }
+    leaderboardList.textContent = `BEST ${difficulty.toUpperCase()} RUNS\n` +
+        entries.map((e, i) => `${i + 1}. ${describeEntry(e, modeInput.value)}  ${e.date.slice(0, 10)}`).join('\n');
+}
+
+// One leaderboard line, leading with what the mode is ranked by
+function describeEntry(e, mode) {
+    const run = `${formatTime(e.survival)}  ${e.kills} kills  ${(e.distance / 1000).toFixed(1)} km  ${e.topSpeed} km/h`;
+    if (mode === 'waves') return `WAVE ${e.wave || 1}  ${run}`;
+    if (mode === 'courier') return `${e.deliveries || 0} deliveries  ${e.score || 0} pts  ${formatTime(e.survival)}`;
+    if (mode === 'territory') return `${(e.territory || 0).toFixed(1)} km claimed  ${(e.result || '').toUpperCase()}  ${e.kills} kills`;
+    return run;
+}
+
+// Seconds as m:ss.s
+function formatTime(seconds) {
+    return `${Math.floor(seconds / 60)}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+}
+
 function stopGame() {
     isGameRunning = false;
     if (animationFrameId) {
@@ -120,50 +595,89 @@ function loop(currentTime) {
     animationFrameId = requestAnimationFrame(loop);
     if (!isGameRunning) return;
 
-    const deltaTime = currentTime - lastTime;
-    if (deltaTime < FRAME_MIN_TIME) return;
+    const frameTime = Math.min(currentTime - lastTime, MAX_FRAME_MS);
+    lastTime = currentTime;
+    accumulator += frameTime * (replay ? replay.timeScale : 1);
 
-    lastTime = currentTime - (deltaTime % FRAME_MIN_TIME);
-    
-    const playerPos = player ? { x: player.x, y: player.y } : null;
+    // 1. Update Phase (fixed timestep, independent of the display refresh rate)
+    while (accumulator >= TICK_MS) {
+        stepTick();
+        accumulator -= TICK_MS;
+    }
+    // Fraction of the next tick already elapsed, used to interpolate rendering
+    const alpha = accumulator / TICK_MS;
+    const frameTicks = frameTime / TICK_MS;
+
+    const state = netClient ? netClient.getState() : sim.getState();
 
-    // 1. Update Phase
-    if (player) {
-        player.update(input);
-        bots.forEach(bot => player.checkCollision(bot, playerPos));
+    // 2. Render Phase: one view per local player, then what belongs to the whole screen
+    ctx.fillStyle = "#000000";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (!state) {
+        drawWaiting();
+        return;
     }
+    const { bots } = state;
+    if (state.player) sound.update(state.player, bots);
 
-    bots.forEach(bot => {
-        bot.update({ player, bots }); 
-        if (player && !player.crashed) bot.checkCollision(player, playerPos);
-        bots.forEach(otherBot => {
-            if (bot !== otherBot) bot.checkCollision(otherBot, playerPos);
-        });
+    // Over the network the screen follows our own car (or the one we are watching)
+    const viewed = netClient ? [state.player] : state.players;
+    const viewports = layoutViewports(viewed.length);
+    viewed.forEach((player, i) => {
+        viewport = viewports[i];
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(viewport.x, viewport.y, viewport.width, viewport.height);
+        ctx.clip();
+        ctx.translate(viewport.x, viewport.y);
+        drawView(state, player, views[i], alpha, frameTicks);
+        ctx.restore();
     });
+    viewport = { x: 0, y: 0, width: canvas.width, height: canvas.height };
 
-    bots = bots.filter(bot => !bot.crashed);
+    if (viewed.length > 1) drawViewportBorders(viewports);
+    if (showGraphDebug) drawGraphStats();
+    if (replay) drawReplayStatus(state.tick);
+    if (state.over) drawRunSummary(state);
+}
 
-    if (player) sound.update(player, bots);
+// Full screen for one player, stacked halves for two, quarters for three or four
+function layoutViewports(count) {
+    const w = canvas.width, h = canvas.height;
+    if (count <= 1) return [{ x: 0, y: 0, width: w, height: h }];
+    if (count === 2) return [0, 1].map(i => ({ x: 0, y: i * h / 2, width: w, height: h / 2 }));
+    return [0, 1, 2, 3].slice(0, count).map(i => ({ x: (i % 2) * w / 2, y: Math.floor(i / 2) * h / 2, width: w / 2, height: h / 2 }));
+}
 
-    // 2. Camera Logic
-    const targetZoom = player ? canvas.width*0.002 / (1 + (player.speed * 0.3)) : 1;
-    cameraZoom = Utils.lerp(cameraZoom, targetZoom, 0.05);
+function drawViewportBorders(viewports) {
+    ctx.strokeStyle = "#ffffff";
+    ctx.lineWidth = 2;
+    for (const rect of viewports) ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+}
 
-    // 3. Render Phase
-    ctx.fillStyle = "#000000";
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+/**
+ * Draws the world and HUD around one player, inside the current viewport.
+ * @param {Object} view - That player's camera state: {zoom, speedKmh}.
+ */
+function drawView(state, player, view, alpha, frameTicks) {
+    const { bots } = state;
+    const index = player.playerIndex;
+
+    // Camera Logic
+    const targetZoom = viewport.width*0.002 / (1 + (player.speed * 0.3));
+    view.zoom = Utils.lerp(view.zoom, targetZoom, Utils.damp(0.05, frameTicks));
+    const cameraZoom = view.zoom;
 
     ctx.save();
-    let camX = 0, camY = 0;
-    if (player) {
-        camX = player.x;
-        camY = player.y;
-        ctx.translate(canvas.width / 2, canvas.height / 2);
-        ctx.scale(cameraZoom, cameraZoom);
-        ctx.translate(-player.x, -player.y);
-    }
+    const playerPose = renderPose(player, alpha);
+    const camX = playerPose.x;
+    const camY = playerPose.y;
+    ctx.translate(viewport.width / 2, viewport.height / 2);
+    ctx.scale(cameraZoom, cameraZoom);
+    ctx.translate(-camX, -camY);
 
     // DRAW MAP BOUNDARIES
+    const mapBounds = state.bounds;
     if (mapBounds) {
         ctx.strokeStyle = "#ff003c";
         ctx.lineWidth = 10 / cameraZoom; // Keep line width consistent visually
@@ -177,25 +691,49 @@ function loop(currentTime) {
         ctx.setLineDash([]); // Reset dash for subsequent drawing
     }
 
-    // DRAW MAP
+    // DRAW MAP (tunnels below ground level, bridges above it)
     ctx.lineWidth = 2;
-    ctx.strokeStyle = "#1a1a40"; 
     ctx.lineCap = "round";
-    const viewW = canvas.width / cameraZoom;
-    const viewH = canvas.height / cameraZoom;
+    const viewW = viewport.width / cameraZoom;
+    const viewH = viewport.height / cameraZoom;
     const visibleRoads = network.getRoadsInRect(camX - viewW/2 - 500, camY - viewH/2 - 500, camX + viewW/2 + 500, camY + viewH/2 + 500);
 
-    ctx.beginPath();
-    for (const road of visibleRoads) {
-        ctx.moveTo(road.points[0].x, road.points[0].y);
-        for (let i = 1; i < road.points.length; i++) ctx.lineTo(road.points[i].x, road.points[i].y);
-    }
+    const roadsByStructure = { tunnel: [], ground: [], bridge: [] };
+    for (const road of visibleRoads) roadsByStructure[road.structure || 'ground'].push(road);
+
+    ctx.setLineDash([6, 6]);
+    ctx.strokeStyle = "#14142e";
+    traceRoads(roadsByStructure.tunnel);
     ctx.stroke();
+    ctx.setLineDash([]);
 
-    const entities = [...bots, player];
+    ctx.strokeStyle = "#1a1a40"; 
+    traceRoads(roadsByStructure.ground);
+    ctx.stroke();
+
+    // Bridges get a dark casing so the roads below visibly pass underneath
+    traceRoads(roadsByStructure.bridge);
+    ctx.lineWidth = 8;
+    ctx.strokeStyle = "#000000";
+    ctx.stroke();
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = "#3a3a80";
+    ctx.stroke();
+
+    if (showGraphDebug) drawGraphDebug(visibleRoads);
+    const courier = state.couriers[index];
+    if (courier && courier.target) drawCourierRoute(courier);
+    if (state.territory) drawTerritory(state.territory, visibleRoads);
+
+    // Live input is one object alone, one per player in split screen; over the network only our own car has one
+    let aim = Array.isArray(activeInput) ? activeInput[index] : activeInput;
+    if (netClient && player !== netClient.localCar) aim = null;
+    if (aim && !player.crashed) drawTurnPreview(player, aim, cameraZoom);
+
+    const entities = [...bots, ...state.players];
 
     entities.forEach(entity => {
-        if (!entity) return;
+        const pose = renderPose(entity, alpha);
         if (entity.trail.length > 1) {
             ctx.beginPath();
             ctx.strokeStyle = entity.color;
@@ -204,68 +742,284 @@ function loop(currentTime) {
             ctx.shadowColor = entity.color;
             ctx.moveTo(entity.trail[0].x, entity.trail[0].y);
             for (const p of entity.trail) ctx.lineTo(p.x, p.y);
-            ctx.lineTo(entity.x, entity.y);
+            ctx.lineTo(pose.x, pose.y);
             ctx.stroke();
             ctx.shadowBlur = 0;
         }
         ctx.save();
-        ctx.translate(entity.x, entity.y);
-        ctx.rotate(entity.angle);
+        ctx.translate(pose.x, pose.y);
+        ctx.rotate(pose.angle);
         ctx.fillStyle = "#fff";
         ctx.fillRect(-5, -2.5, 10, 5);
         ctx.restore();
     });
 
-    if (player && !player.crashed) {
+    if (!player.crashed && aim) {
         const length = 100;
-        const ex = player.x + Math.cos(input.mouseAngle) * length / cameraZoom;
-        const ey = player.y + Math.sin(input.mouseAngle) * length / cameraZoom;
-        const grad = ctx.createLinearGradient(player.x, player.y, ex, ey);
+        const ex = playerPose.x + Math.cos(aim.mouseAngle) * length / cameraZoom;
+        const ey = playerPose.y + Math.sin(aim.mouseAngle) * length / cameraZoom;
+        const grad = ctx.createLinearGradient(playerPose.x, playerPose.y, ex, ey);
         grad.addColorStop(0, "rgba(255, 215, 0, 0)");
         grad.addColorStop(1, "rgba(255, 215, 0, 0.6)");
         ctx.beginPath();
         ctx.strokeStyle = grad;
         ctx.lineWidth = 10 / cameraZoom;
-        ctx.moveTo(player.x, player.y);
+        ctx.moveTo(playerPose.x, playerPose.y);
         ctx.lineTo(ex, ey);
         ctx.stroke();
     }
     ctx.restore();
 
-    // 4. UI / HUD
-    drawMinimap(entities);
-    drawBotCount();
-
-    if (player) {
-        drawStreetName();
-        if (player.crashed) {
-            ctx.fillStyle = "rgba(0,0,0,0.7)";
-            ctx.fillRect(0, 0, canvas.width, canvas.height);
-            ctx.fillStyle = "#ff003c";
-            ctx.font = "bold 48px Courier New";
-            ctx.textAlign = "center";
-            ctx.fillText("CRASHED", canvas.width/2, canvas.height/2);
-            ctx.font = "24px Courier New";
-            ctx.fillStyle = "#fff";
-            ctx.fillText(player.crashReason, canvas.width/2, canvas.height/2 + 40);
-        } else {
-            smoothSpeedKmh = Utils.lerp(smoothSpeedKmh, player.speed * 60 * 3.6, 0.1);
-            ctx.font = "bold 24px Courier New";
-            ctx.fillStyle = "#00f3ff";
-            ctx.textAlign = "right";
-            ctx.fillText(`${Math.floor(smoothSpeedKmh)} KM/H`, canvas.width - 20, canvas.height - 20);
+    // UI / HUD
+    drawMinimap(player, entities);
+    drawBotCount(bots);
+    drawSeed(state.seed);
+    drawScore(state.scores[index]);
+    if (state.wave) drawWave(state.wave);
+    if (courier) drawCourierStatus(courier, player, state.tick);
+    if (state.territory && !state.over) drawTerritoryStatus(state.territory, state.tick, Territory.teamOf(player));
+    if (!player.crashed && player.currentRoad.wrongWay) drawWrongWay(state.tick);
+
+    drawStreetName(player);
+    if (relativeSteering.enabled && !player.crashed && (!netClient || player === netClient.localCar)) {
+        drawQueuedTurn(relativeSteering.queuedTurn);
+    }
+    if (state.over) return; // The run summary covers the whole screen
+    if (player.crashed) {
+        if (state.territory) drawRespawning(player);
+        else drawEliminated(player);
+    } else {
+        // speed is world units (meters) per tick
+        const speedKmh = player.speed * Simulation.TICK_RATE * 3.6;
+        view.speedKmh = Utils.lerp(view.speedKmh, speedKmh, Utils.damp(0.1, frameTicks));
+        ctx.font = "bold 24px Courier New";
+        ctx.fillStyle = player.playerIndex > 0 ? player.color : "#00f3ff";
+        ctx.textAlign = "right";
+        ctx.fillText(`${Math.floor(view.speedKmh)} KM/H`, viewport.width - 20, viewport.height - 20);
+    }
+}
+
+// Relative steering: the turn the car will take at the next junction
+function drawQueuedTurn(turn) {
+    const labels = { left: "◀ LEFT", right: "RIGHT ▶", straight: "▲ STRAIGHT" };
+    ctx.font = "bold 24px Courier New";
+    ctx.textAlign = "center";
+    ctx.fillStyle = turn ? "#ffd700" : "rgba(255, 255, 255, 0.4)"; // Dim while nothing is queued
+    ctx.fillText(`NEXT JUNCTION ${labels[turn || 'straight']}`, viewport.width / 2, viewport.height - 20);
+}
+
+// Split screen: a player out of the round watches the others finish it
+function drawEliminated(player) {
+    ctx.textAlign = "center";
+    ctx.font = "bold 32px Courier New";
+    ctx.fillStyle = "#ff003c";
+    ctx.fillText("ELIMINATED", viewport.width / 2, viewport.height / 2 - 80);
+    ctx.font = "16px Courier New";
+    ctx.fillStyle = "rgba(255, 255, 255, 0.6)";
+    ctx.fillText(player.crash ? describeCrash(player.crash) : player.crashReason, viewport.width / 2, viewport.height / 2 - 56);
+}
+
+/**
+ * The next junction: the exit the current aim would take lit up, the others dimmed,
+ * and how far away the junction is. Only drawn where there is a choice to make.
+ */
+function drawTurnPreview(player, aim, cameraZoom) {
+    const exits = player.upcomingExits();
+    if (exits.length < 2) return;
+    const chosen = player.exitToward(aim.mouseAngle, exits);
+    const node = network.nodes[player.currentRoad.endNodeIdx];
+
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.12)";
+    for (const road of exits) {
+        if (road === chosen) continue;
+        traceRoadStart(road, TURN_PREVIEW_LENGTH);
+        ctx.stroke();
+    }
+    ctx.lineWidth = 6;
+    ctx.strokeStyle = "rgba(255, 215, 0, 0.8)";
+    ctx.shadowBlur = 15;
+    ctx.shadowColor = "#ffd700";
+    traceRoadStart(chosen, TURN_PREVIEW_LENGTH);
+    ctx.stroke();
+    ctx.shadowBlur = 0;
+
+    // Distance label beside the junction, the same size on screen at any zoom
+    ctx.font = `bold ${Math.round(16 / cameraZoom)}px Courier New`;
+    ctx.fillStyle = "#ffd700";
+    ctx.textAlign = "left";
+    ctx.fillText(`${Math.round(player.distanceToRoadEnd())} m`, node.x + 12 / cameraZoom, node.y - 12 / cameraZoom);
+}
+
+// Adds the first `length` units of a road's polyline to a new canvas path
+function traceRoadStart(road, length) {
+    const points = road.points;
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    let left = length;
+    for (let i = 1; i < points.length; i++) {
+        const segment = Utils.dist(points[i - 1], points[i]);
+        if (segment >= left) {
+            const t = left / segment;
+            ctx.lineTo(Utils.lerp(points[i - 1].x, points[i].x, t), Utils.lerp(points[i - 1].y, points[i].y, t));
+            return;
         }
+        ctx.lineTo(points[i].x, points[i].y);
+        left -= segment;
+    }
+}
+
+// Claimed roads in their owner's color
+function drawTerritory(territory, roads) {
+    const byTeam = new Map();
+    for (const road of roads) {
+        const team = territory.owners[road.id];
+        if (!team || (road.reverseId >= 0 && road.id > road.reverseId)) continue; // Draw each pair once
+        if (!byTeam.has(team)) byTeam.set(team, []);
+        byTeam.get(team).push(road);
+    }
+    ctx.lineWidth = 4;
+    for (const [team, teamRoads] of byTeam) {
+        ctx.strokeStyle = Territory.colorOf(team);
+        ctx.globalAlpha = 0.6;
+        traceRoads(teamRoads);
+        ctx.stroke();
+    }
+    ctx.globalAlpha = 1;
+}
+
+// Round timer, and the player's claimed length against the best rival team's
+function drawTerritoryStatus(territory, tick, team) {
+    const cx = viewport.width / 2;
+    const y = replay ? 100 : 40;
+    const km = (team) => ((territory.lengths[team] || 0) / 1000).toFixed(1);
+    const rival = territory.bestRival(team);
+    ctx.textAlign = "center";
+    ctx.font = "bold 24px Courier New";
+    ctx.fillStyle = "#fff";
+    ctx.fillText(formatTime(territory.ticksLeft(tick) / Simulation.TICK_RATE), cx, y);
+    ctx.font = "bold 18px Courier New";
+    ctx.textAlign = "right";
+    ctx.fillStyle = Territory.colorOf(team);
+    ctx.fillText(`YOU ${km(team)} km`, cx - 12, y + 26);
+    if (!rival) return;
+    ctx.textAlign = "left";
+    ctx.fillStyle = Territory.colorOf(rival);
+    ctx.fillText(`${describeTeam(rival)} ${km(rival)} km`, cx + 12, y + 26);
+}
+
+function drawRespawning(player) {
+    ctx.textAlign = "center";
+    ctx.font = "bold 32px Courier New";
+    ctx.fillStyle = "#ff003c";
+    ctx.fillText(player.crashReason, viewport.width / 2, viewport.height / 2 - 80);
+    ctx.font = "16px Courier New";
+    ctx.fillStyle = "rgba(255, 255, 255, 0.6)";
+    ctx.fillText(`${Math.round(Territory.RELEASE_SHARE * 100)}% OF YOUR TERRITORY LOST · RESPAWNING`, viewport.width / 2, viewport.height / 2 - 56);
+}
+
+// Target street and the suggested route to it
+function drawCourierRoute(courier) {
+    ctx.lineWidth = 6;
+    ctx.strokeStyle = "rgba(255, 215, 0, 0.8)";
+    ctx.shadowBlur = 15;
+    ctx.shadowColor = "#ffd700";
+    traceRoads(courier.target.roads);
+    ctx.stroke();
+    ctx.shadowBlur = 0;
+
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = "rgba(255, 215, 0, 0.35)";
+    ctx.setLineDash([12, 12]);
+    traceRoads(courier.route);
+    ctx.stroke();
+    ctx.setLineDash([]);
+}
+
+// Delivery target, distance, time against par and an arrow pointing at the target
+function drawCourierStatus(courier, player, tick) {
+    const cx = viewport.width / 2;
+    const y = replay ? 100 : 40; // Below the replay status when watching a replay
+    ctx.textAlign = "center";
+
+    const delivered = courier.lastDelivery;
+    if (delivered && tick - delivered.tick < Simulation.TICK_RATE * 2) {
+        ctx.font = "bold 32px Courier New";
+        ctx.fillStyle = "#ffd700";
+        ctx.fillText(`DELIVERED +${delivered.points}`, cx, viewport.height / 2 - 80);
+    }
+    if (!courier.target || player.crashed) return;
+
+    const target = courier.target;
+    ctx.font = "bold 24px Courier New";
+    ctx.fillStyle = "#ffd700";
+    ctx.fillText(`DELIVER TO ${target.street.toUpperCase()}`, cx, y);
+    const seconds = (ticks) => (ticks / Simulation.TICK_RATE).toFixed(0);
+    ctx.font = "16px Courier New";
+    ctx.fillStyle = "rgba(255, 255, 255, 0.6)";
+    ctx.fillText(`${Math.round(Utils.dist(player, target.point))} m · ${seconds(tick - target.startTick)}s / par ${seconds(target.parTicks)}s`, cx, y + 22);
+
+    // The camera never rotates, so world angles are screen angles
+    ctx.save();
+    ctx.translate(cx, y + 56);
+    ctx.rotate(Utils.angleTo(player, target.point));
+    ctx.fillStyle = "#ffd700";
+    ctx.beginPath();
+    ctx.moveTo(16, 0);
+    ctx.lineTo(-10, -10);
+    ctx.lineTo(-4, 0);
+    ctx.lineTo(-10, 10);
+    ctx.closePath();
+    ctx.fill();
+    ctx.restore();
+}
+
+// Roads outside the main network, coloured per fragment, and dead-end nodes
+function drawGraphDebug(roads) {
+    ctx.lineWidth = 4;
+    for (const road of roads) {
+        if (road.inMainComponent) continue;
+        ctx.strokeStyle = `hsl(${(road.fragment * 137) % 360}, 100%, 55%)`;
+        traceRoads([road]);
+        ctx.stroke();
+    }
+
+    ctx.fillStyle = "#ff003c";
+    ctx.beginPath();
+    for (const nodeIdx of network.deadEnds) {
+        const node = network.nodes[nodeIdx];
+        ctx.moveTo(node.x + 6, node.y);
+        ctx.arc(node.x, node.y, 6, 0, Math.PI * 2);
+    }
+    ctx.fill();
+}
+
+// Adds the road polylines to a new canvas path
+function traceRoads(roads) {
+    ctx.beginPath();
+    for (const road of roads) {
+        ctx.moveTo(road.points[0].x, road.points[0].y);
+        for (let i = 1; i < road.points.length; i++) ctx.lineTo(road.points[i].x, road.points[i].y);
     }
 }
 
-function drawMinimap(entities) {
+// Car position between the last two ticks, so motion stays smooth at any refresh rate
+function renderPose(car, alpha) {
+    return {
+        x: Utils.lerp(car.prevX, car.x, alpha),
+        y: Utils.lerp(car.prevY, car.y, alpha),
+        angle: car.prevAngle + Utils.angleDiff(car.prevAngle, car.angle) * alpha
+    };
+}
+
+function drawMinimap(player, entities) {
     if (!player) return;
 
-    const isSmallScreen = canvas.width < 600;
+    const isSmallScreen = viewport.width < 600 || viewport.height < 500;
     const mapSize = isSmallScreen ? 150 : 250;
     const margin = 20;
     const centerX = margin + mapSize / 2;
-    const centerY = canvas.height - margin - mapSize / 2;
+    const centerY = viewport.height - margin - mapSize / 2;
     const radius = mapSize / 2;
 
     // Minimap view range in world units
@@ -311,7 +1065,7 @@ function drawMinimap(entities) {
     ctx.restore();
 }
 
-function drawStreetName() {
+function drawStreetName(player) {
     const road = network.getClosestRoad({ x: player.x, y: player.y });
     if (road && road.properties) {
         const name = road.properties.name || road.properties.ref;
@@ -324,9 +1078,211 @@ function drawStreetName() {
     }
 }
 
-function drawBotCount() {
+// Short name of a car for crash messages
+function describeCar(car) {
+    if (car.isBot) return `${car.archetype.toUpperCase()} BOT`;
+    const playerCount = netClient ? netClient.playerCount() : sim.players.length;
+    return playerCount > 1 ? `PLAYER ${car.playerIndex + 1}` : "PLAYER";
+}
+
+// Territory team for display, e.g. "PLAYER 2" or "CHASERS"
+function describeTeam(team) {
+    if (team.startsWith('player')) return `PLAYER ${parseInt(team.slice(6)) || 1}`;
+    return `${team.toUpperCase()}S`;
+}
+
+function describeCrash(crash) {
+    if (!crash.by) return crash.reason;
+    if (crash.reason === "TRACE COLLISION") return `HIT THE TRAIL OF A ${describeCar(crash.by)}`;
+    return `${crash.reason} WITH A ${describeCar(crash.by)}`;
+}
+
+// End-of-run screen: what killed the player and how the run scored
+function drawRunSummary(state) {
+    if (state.players.length > 1) {
+        drawRoundSummary(state);
+        return;
+    }
+    const { player, score, crashLog } = state;
+    const cx = viewport.width / 2;
+    let y = viewport.height / 2 - 120;
+
+    ctx.fillStyle = "rgba(0,0,0,0.7)";
+    ctx.fillRect(0, 0, viewport.width, viewport.height);
+    ctx.textAlign = "center";
+    ctx.fillStyle = "#ff003c";
+    ctx.font = "bold 48px Courier New";
+    ctx.fillText(state.territory ? "TIME UP" : "CRASHED", cx, y);
+    ctx.font = "24px Courier New";
+    ctx.fillStyle = "#fff";
+    if (state.territory) {
+        const leader = state.territory.leader();
+        ctx.fillText(leader ? (leader === 'player' ? "YOU WIN" : `THE ${leader.toUpperCase()}S WIN`) : "DRAW", cx, y += 40);
+    } else {
+        ctx.fillText(player.crash ? describeCrash(player.crash) : player.crashReason, cx, y += 40);
+    }
+
+    // Kills per archetype, e.g. "CHASER 3 · BLOCKER 1"
+    const kills = new Map();
+    for (const crash of crashLog) {
+        if (crash.by === player && crash.car.isBot && crash.reason === "TRACE COLLISION") {
+            kills.set(crash.car.archetype, (kills.get(crash.car.archetype) || 0) + 1);
+        }
+    }
+    const lines = [
+        `SURVIVED        ${formatTime(score.survivalTicks / Simulation.TICK_RATE)}`,
+        `BOTS DESTROYED  ${score.kills}`,
+        `NEAR MISSES     ${score.nearMisses}`,
+        `DISTANCE        ${(score.distance / 1000).toFixed(2)} km`,
+        `TOP SPEED       ${Math.round(score.topSpeed * Simulation.TICK_RATE * 3.6)} km/h`
+    ];
+    if (score.wrongWayTicks) lines.push(`WRONG WAY       ${formatTime(score.wrongWayTicks / Simulation.TICK_RATE)}`);
+    if (state.wave) lines.push(`WAVE REACHED    ${state.wave.number}`);
+    if (state.courier) lines.push(`DELIVERIES      ${score.deliveries}`);
+    if (state.territory) {
+        const km = (team) => (state.territory.lengths[team] / 1000).toFixed(1);
+        const rival = state.territory.bestRival();
+        lines.push(`TERRITORY       ${km('player')} km` + (rival ? ` vs ${describeTeam(rival).toLowerCase()} ${km(rival)} km` : ''));
+    }
+    ctx.font = "20px Courier New";
+    ctx.fillStyle = "rgba(255, 255, 255, 0.8)";
+    y += 30;
+    for (const line of lines) ctx.fillText(line, cx, y += 30);
+    if (kills.size) {
+        ctx.font = "14px Courier New";
+        ctx.fillStyle = "rgba(255, 255, 255, 0.5)";
+        ctx.fillText([...kills].map(([type, n]) => `${type.toUpperCase()} ${n}`).join(" · "), cx, y += 24);
+    }
+
+    ctx.font = "bold 32px Courier New";
+    ctx.fillStyle = "#00f3ff";
+    ctx.fillText(`SCORE ${score.points}`, cx, y += 56);
+    if (lastRunRank) {
+        ctx.font = "bold 20px Courier New";
+        ctx.fillStyle = "#ffd700";
+        ctx.fillText(lastRunRank === 1 ? "NEW RECORD!" : `#${lastRunRank} ON THIS MAP'S LEADERBOARD`, cx, y += 32);
+    }
+    ctx.font = "14px Courier New";
+    ctx.fillStyle = "rgba(255, 255, 255, 0.6)";
+    ctx.fillText(restartHint(state), cx, y += 36);
+}
+
+// Split-screen end of round: who won and how each player did
+function drawRoundSummary(state) {
+    const cx = viewport.width / 2;
+    let y = viewport.height / 2 - 100;
+
+    ctx.fillStyle = "rgba(0,0,0,0.7)";
+    ctx.fillRect(0, 0, viewport.width, viewport.height);
+    ctx.textAlign = "center";
+    ctx.fillStyle = "#ff003c";
+    ctx.font = "bold 48px Courier New";
+    ctx.fillText(state.territory ? "TIME UP" : "ROUND OVER", cx, y);
+
+    ctx.font = "bold 28px Courier New";
+    if (state.territory) {
+        const leader = state.territory.leader();
+        ctx.fillStyle = leader ? Territory.colorOf(leader) : "#fff";
+        ctx.fillText(leader ? `${describeTeam(leader)} WIN${leader.startsWith('player') ? 'S' : ''}` : "DRAW", cx, y += 44);
+    } else {
+        const winner = state.winner;
+        ctx.fillStyle = winner ? winner.color : "#fff";
+        ctx.fillText(winner ? `PLAYER ${winner.playerIndex + 1} WINS` : "DRAW", cx, y += 44);
+    }
+
+    ctx.font = "20px Courier New";
+    y += 20;
+    state.players.forEach((player, i) => {
+        const score = state.scores[i];
+        let line = `PLAYER ${i + 1}  ${formatTime(score.survivalTicks / Simulation.TICK_RATE)}  ${score.kills} kills  SCORE ${score.points}`;
+        if (state.territory) line += `  ${((state.territory.lengths[Territory.teamOf(player)] || 0) / 1000).toFixed(1)} km`;
+        if (state.couriers.length) line += `  ${score.deliveries} deliveries`;
+        ctx.fillStyle = player.color;
+        ctx.fillText(line, cx, y += 30);
+    });
+
+    ctx.font = "14px Courier New";
+    ctx.fillStyle = "rgba(255, 255, 255, 0.6)";
+    ctx.fillText(restartHint(state), cx, y += 44);
+}
+
+// Last line of the end screens; over the network the server starts the next round by itself
+function restartHint(state) {
+    if (netClient) return `NEXT ROUND IN ${Math.max(0, Math.ceil(state.nextRoundIn))}s · ESC leave`;
+    return replay ? "ESC menu" : "CLICK or START to restart · ESC menu";
+}
+
+// Connected to a server, before the first snapshot of our round arrives
+function drawWaiting() {
+    ctx.font = "bold 24px Courier New";
+    ctx.fillStyle = "#00f3ff";
+    ctx.textAlign = "center";
+    ctx.fillText("WAITING FOR THE SERVER...", canvas.width / 2, canvas.height / 2);
+}
+
+function drawWave(wave) {
+    const seconds = Math.ceil(wave.ticksLeft / Simulation.TICK_RATE);
+    ctx.font = "bold 24px Courier New";
+    ctx.fillStyle = "#ffd700";
+    ctx.textAlign = "left";
+    ctx.fillText(`WAVE ${wave.number}`, 20, 76);
+    ctx.font = "16px Courier New";
+    ctx.fillStyle = "rgba(255, 255, 255, 0.6)";
+    ctx.fillText(`NEXT WAVE IN ${seconds}s`, 20, 100);
+}
+
+function drawScore(score) {
+    ctx.font = "bold 20px Courier New";
+    ctx.fillStyle = "#00f3ff";
+    ctx.textAlign = "right";
+    ctx.fillText(`SCORE: ${score.points}`, viewport.width - 20, 92);
+}
+
+function drawBotCount(bots) {
     ctx.font = "bold 24px Courier New";
     ctx.fillStyle = "#ff003c";
     ctx.textAlign = "right";
-    ctx.fillText("BOTS: " + bots.length, canvas.width - 20, 40);
+    ctx.fillText("BOTS: " + bots.length, viewport.width - 20, 40);
+}
+
+function drawSeed(seed) {
+    ctx.font = "16px Courier New";
+    ctx.fillStyle = "rgba(255, 255, 255, 0.5)";
+    ctx.textAlign = "right";
+    ctx.fillText("SEED: " + seed, viewport.width - 20, 64);
+}
+
+function drawReplayStatus(tick) {
+    const status = replay.isFinished(tick) ? "END" : (replay.paused ? "PAUSED" : `${replay.timeScale}x`);
+    const seconds = (t) => (t / Simulation.TICK_RATE).toFixed(1);
+    ctx.font = "bold 20px Courier New";
+    ctx.fillStyle = "#ffd700";
+    ctx.textAlign = "center";
+    ctx.fillText(`REPLAY ${status}  ${seconds(tick)}s / ${seconds(replay.length)}s`, viewport.width / 2, 40);
+    ctx.font = "14px Courier New";
+    ctx.fillStyle = "rgba(255, 255, 255, 0.6)";
+    ctx.fillText("SPACE pause · F speed · . step frame · ESC menu", viewport.width / 2, 62);
+}
+
+function drawWrongWay(tick) {
+    // Blink at 2 Hz of simulation time
+    if (Math.floor(tick / (Simulation.TICK_RATE / 4)) % 2) return;
+    ctx.font = "bold 32px Courier New";
+    ctx.fillStyle = "#ff003c";
+    ctx.textAlign = "center";
+    ctx.fillText("WRONG WAY", viewport.width / 2, viewport.height / 2 - 80);
+}
+
+function drawGraphStats() {
+    const stats = network.getStats();
+    const lines = [
+        "GRAPH DEBUG (G)",
+        `FRAGMENTS: ${stats.fragments}`,
+        `MAIN NETWORK: ${Math.round(stats.mainShare * 100)}% OF ${stats.lengthKm.toFixed(0)} KM`,
+        `DEAD ENDS: ${stats.deadEnds}`
+    ];
+    ctx.font = "14px Courier New";
+    ctx.fillStyle = "rgba(255, 215, 0, 0.8)";
+    ctx.textAlign = "left";
+    lines.forEach((line, i) => ctx.fillText(line, 20, 70 + i * 18));
 }
\ No newline at end of file
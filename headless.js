@@ -0,0 +1,68 @@
+/**
+ * HEADLESS ENTRY POINT
+ * Loads the simulation core under Node, without DOM, canvas or audio.
+ *
+ * As a library: const { Simulation, loadNetwork } = require('./headless.js');
+ * As a script:  node headless.js [mapFile] [botCount] [ticks] [seed]
+ * Precompile:   node headless.js compile maps/pula.json [maps/pula.graph.json]
+ */
+const fs = require('fs');
+
+// The game scripts share globals in the browser; mirror that here.
+globalThis.Utils = require('./utils.js');
+globalThis.Random = require('./random.js');
+globalThis.RoadNetwork = require('./roadNetwork.js');
+globalThis.MapError = RoadNetwork.MapError;
+globalThis.PathPlanner = require('./pathfinder.js');
+globalThis.CollisionGrid = require('./collisionGrid.js');
+globalThis.Car = require('./car.js');
+globalThis.Courier = require('./courier.js');
+globalThis.Territory = require('./territory.js');
+globalThis.Simulation = require('./simulation.js');
+const { InputRecorder, ReplayPlayer } = require('./recorder.js');
+
+/**
+ * Builds a RoadNetwork from a map file on disk.
+ * @param {string} path - Path to a GeoJSON, Overpass JSON or OSM XML map, e.g. 'maps/pula.json'.
+ */
+function loadNetwork(path) {
+    const network = new RoadNetwork();
+    network.parse(RoadNetwork.decode(fs.readFileSync(path, 'utf8')));
+    return network;
+}
+
+/**
+ * Writes the precompiled graph of a map next to it (or to outPath).
+ * @returns {string} the path written.
+ */
+function compileMap(path, outPath = path.replace(/(\.[^./]+)?$/, '.graph.json')) {
+    const network = loadNetwork(path);
+    fs.writeFileSync(outPath, JSON.stringify(network.toCompiled()));
+    return outPath;
+}
+
+module.exports = { Utils, Random, RoadNetwork, MapError, PathPlanner, CollisionGrid, Car, Courier, Territory, Simulation, InputRecorder, ReplayPlayer, loadNetwork, compileMap };
+
+if (require.main === module && process.argv[2] === 'compile') {
+    const [, mapFile, outFile] = process.argv.slice(2);
+    const outPath = compileMap(mapFile, outFile);
+    console.log(`Wrote ${outPath} (${(fs.statSync(outPath).size / 1048576).toFixed(1)} MB).`);
+} else if (require.main === module) {
+    const [mapFile = 'maps/pula.json', botArg = '25', tickArg = '3600', seedArg = ''] = process.argv.slice(2);
+    const sim = new Simulation(loadNetwork(mapFile));
+    const seed = Random.parseSeed(seedArg);
+    sim.reset({ botCount: parseInt(botArg) || 0, seed });
+
+    // Full throttle, steering straight ahead of the car at every junction
+    const inputs = { mouseAngle: 0, accelerating: true, braking: false };
+    const ticks = parseInt(tickArg) || 0;
+    while (sim.tick < ticks && !sim.isOver()) {
+        inputs.mouseAngle = sim.player.angle;
+        sim.step(inputs);
+    }
+
+    const state = sim.getState();
+    console.log(`Seed: ${state.seed}, Ticks: ${state.tick}, Bots left: ${state.bots.length}, ` +
+        `Player: ${state.player.crashed ? state.player.crashReason : 'alive'}, ` +
+        `Score: ${state.score.points} (${state.score.kills} kills, ${state.score.nearMisses} near misses)`);
+}
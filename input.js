@@ -7,6 +7,7 @@ class InputHandler {
         this.mouseAngle = 0; 
         this.accelerating = false;
         this.braking = false;
+        this.lastUsed = 0; // performance.now() of the last mouse, touch or key activity, to hand over from a gamepad
         
         // Reference to canvas to distinguish between game touches and UI touches
         const canvas = document.getElementById('gameCanvas');
@@ -17,6 +18,7 @@ class InputHandler {
         });
 
         document.addEventListener('mousedown', e => {
+            this.lastUsed = performance.now();
             if (e.button === 0) this.accelerating = true; // Left Click
             if (e.button === 2) this.braking = true;      // Right Click
         });
@@ -31,7 +33,9 @@ class InputHandler {
         // Keyboard
         document.addEventListener('keydown', e => {
             if (e.code === 'KeyW' || e.code === 'ArrowUp') this.accelerating = true;
-            if (e.code === 'KeyS' || e.code === 'ArrowDown') this.braking = true;
+            else if (e.code === 'KeyS' || e.code === 'ArrowDown') this.braking = true;
+            else return;
+            this.lastUsed = performance.now();
         });
         document.addEventListener('keyup', e => {
             if (e.code === 'KeyW' || e.code === 'ArrowUp') this.accelerating = false;
@@ -76,6 +80,7 @@ class InputHandler {
     }
 
     updateAngle(x, y) {
+        this.lastUsed = performance.now();
         const cx = window.innerWidth / 2;
         const cy = window.innerHeight / 2;
         this.mouseAngle = Math.atan2(y - cy, x - cx);
@@ -0,0 +1,127 @@
+/**
+ * LEADERBOARD
+ * Best runs per map, bot count, game mode and difficulty, kept in the browser's localStorage.
+ * Exports to and imports from JSON so results can be compared across machines.
+ */
+const LEADERBOARD_VERSION = 1;
+const LEADERBOARD_KEY = 'neondrive.leaderboard';
+const LEADERBOARD_SIZE = 10; // Entries kept per board
+const ENTRY_NUMBERS = ['survival', 'kills', 'distance', 'topSpeed'];
+
+// What each mode ranks by first (entry fields, higher is better); survival, kills and distance break ties
+const MODE_RANKING = {
+    classic: [],
+    waves: ['wave'],
+    courier: ['deliveries', 'score'],
+    territory: ['territory']
+};
+
+class Leaderboard {
+    /**
+     * @param {Storage} storage - Usually window.localStorage; null keeps scores in memory only.
+     */
+    constructor(storage = null) {
+        this.storage = storage;
+        this.boards = {}; // Board key -> entries, best first
+        this.load();
+    }
+
+    // Classic runs keep the original "map|bots" key and the normal preset the key without difficulty
+    static boardKey(map, botCount, mode = 'classic', difficulty = 'normal') {
+        if (difficulty !== 'normal') return `${map}|${botCount}|${mode}|${difficulty}`;
+        return mode === 'classic' ? `${map}|${botCount}` : `${map}|${botCount}|${mode}`;
+    }
+
+    // Mode the board under a boardKey() key is for
+    static modeOfKey(key) {
+        return key.split('|')[2] || 'classic';
+    }
+
+    // Best first: by the mode's own measure (MODE_RANKING), then longest survival, kills, distance
+    static compare(a, b, mode = 'classic') {
+        for (const field of MODE_RANKING[mode] || []) {
+            const diff = (b[field] || 0) - (a[field] || 0);
+            if (diff) return diff;
+        }
+        return (b.survival - a.survival) || (b.kills - a.kills) || (b.distance - a.distance);
+    }
+
+    load() {
+        if (!this.storage) return;
+        try {
+            const data = JSON.parse(this.storage.getItem(LEADERBOARD_KEY));
+            if (data && data.version === LEADERBOARD_VERSION && data.boards) this.boards = data.boards;
+        } catch (err) {
+            console.warn("Ignoring unreadable leaderboard:", err);
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(LEADERBOARD_KEY, this.toJSON());
+        } catch (err) {
+            console.warn("Could not save leaderboard:", err); // Quota exceeded or storage disabled
+        }
+    }
+
+    entries(map, botCount, mode, difficulty) {
+        return this.boards[Leaderboard.boardKey(map, botCount, mode, difficulty)] || [];
+    }
+
+    /**
+     * Adds a finished run.
+     * @param {Object} entry - {survival (s), kills, distance (m), topSpeed (km/h), score, seed, difficulty, date},
+     *        plus wave (waves), deliveries (courier) or territory (km) and result ('win', 'loss', 'draw') in territory.
+     * @returns {number} Rank on the board (1 = new record), or 0 if it did not make the board.
+     */
+    add(map, botCount, mode, entry) {
+        const rank = this.insert(Leaderboard.boardKey(map, botCount, mode, entry.difficulty), entry);
+        this.save();
+        return rank;
+    }
+
+    insert(key, entry) {
+        const board = this.boards[key] || [];
+        if (board.some(e => e.date === entry.date && e.survival === entry.survival)) return 0; // Already there
+        board.push(entry);
+        const mode = Leaderboard.modeOfKey(key);
+        board.sort((a, b) => Leaderboard.compare(a, b, mode));
+        board.length = Math.min(board.length, LEADERBOARD_SIZE);
+        this.boards[key] = board;
+        return board.indexOf(entry) + 1;
+    }
+
+    toJSON() {
+        return JSON.stringify({ version: LEADERBOARD_VERSION, boards: this.boards });
+    }
+
+    /**
+     * Merges an exported leaderboard into this one.
+     * @throws {Error} with a readable message if the file is not a leaderboard export.
+     * @returns {number} Number of entries that made it onto a board.
+     */
+    import(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            throw new Error("Leaderboard is not valid JSON.");
+        }
+        if (!data || !data.boards || typeof data.boards !== 'object') throw new Error("File has no leaderboard.");
+        if (data.version !== LEADERBOARD_VERSION) throw new Error(`Unsupported leaderboard version: ${data.version}.`);
+
+        let added = 0;
+        for (const [key, entries] of Object.entries(data.boards)) {
+            if (!Array.isArray(entries)) continue;
+            for (const entry of entries) {
+                if (!entry || typeof entry.date !== 'string' || !ENTRY_NUMBERS.every(f => typeof entry[f] === 'number')) continue;
+                if (this.insert(key, entry)) added++;
+            }
+        }
+        this.save();
+        return added;
+    }
+}
+
+if (typeof module !== 'undefined') module.exports = Leaderboard;
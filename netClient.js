@@ -0,0 +1,237 @@
+/**
+ * NETWORK CLIENT
+ * Plays on a LAN server (server.js), which owns the world. The client sends its
+ * input every tick and predicts its own car by running the same Car physics
+ * locally, so turns at junctions respond at once; server snapshots correct it.
+ * Everyone else is drawn slightly in the past, interpolated between snapshots.
+ */
+class NetClient {
+    static INTERPOLATION_TICKS = 6; // Remote cars lag the newest snapshot by this much (100 ms)
+    static SNAPSHOTS_KEPT = 10;
+
+    constructor() {
+        this.socket = null;
+        this.network = null;   // Set by start() once the server's map is loaded
+        this.map = null;       // Map URL and round config from the server's welcome
+        this.config = null;
+        this.playerIndex = -1; // Our car in the current round, -1 while watching
+        this.seed = 0;
+        this.localCar = null;  // Predicted copy of our car
+        this.pending = [];     // Inputs sent but not yet applied by the server: {seq, input}
+        this.seq = 0;
+        this.snapshots = [];   // Newest last
+        this.cars = new Map(); // Car id -> Car drawn for it, kept so trails and sounds follow one object
+        this.trails = new Map(); // Car id -> trail as of the newest applied snapshot
+        this.trailTotals = new Map(); // Car id -> trail points received so far; snapshots keep a copy
+        this.onCrash = null;   // Called when the server reports our car crashed
+        this.onClose = null;
+    }
+
+    // ws:// URL for "host:port", a full URL, or the server this page came from when empty
+    static urlFor(address) {
+        if (/^wss?:\/\//.test(address)) return address;
+        return `ws://${address || location.host}/`;
+    }
+
+    /**
+     * Opens the connection.
+     * @returns {Promise} resolving with the server's welcome message ({map, config}).
+     */
+    connect(url) {
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(url);
+            this.socket = socket;
+            socket.onmessage = (e) => {
+                let message;
+                try {
+                    message = JSON.parse(e.data);
+                } catch (err) {
+                    return; // Not ours, ignore
+                }
+                if (!message) return;
+                if (message.type === 'welcome') {
+                    this.map = message.map;
+                    this.config = message.config;
+                    resolve(message);
+                }
+                this.receive(message);
+            };
+            socket.onerror = () => reject(new Error("no server at " + url));
+            socket.onclose = () => {
+                reject(new Error("connection closed"));
+                if (this.onClose) this.onClose();
+            };
+        });
+    }
+
+    disconnect() {
+        this.onClose = null;
+        if (this.socket) this.socket.close();
+        this.socket = null;
+    }
+
+    // Starts applying snapshots once the server's map is loaded into the network
+    start(network) {
+        this.network = network;
+        this.snapshots.forEach(snapshot => this.apply(snapshot));
+    }
+
+    receive(message) {
+        if (message.type === 'round') {
+            this.playerIndex = message.playerIndex;
+            this.seed = message.seed;
+            this.localCar = null;
+            this.pending = [];
+            this.snapshots = [];
+            this.cars.clear();
+            this.trails.clear();
+            this.trailTotals.clear();
+        } else if (message.type === 'snapshot') {
+            message.receivedAt = performance.now();
+            message.byId = new Map();
+            for (const data of [...message.players, ...message.bots]) message.byId.set(data.id, data);
+            this.snapshots.push(message);
+            if (this.snapshots.length > NetClient.SNAPSHOTS_KEPT) this.snapshots.shift();
+            if (this.network) this.apply(message);
+        }
+    }
+
+    // Takes in each snapshot once, in order: trails grow by what it added, then our car is corrected
+    apply(snapshot) {
+        for (const [id, data] of snapshot.byId) {
+            const level = (this.network.roads[data.r] || {}).level || 0;
+            this.trails.set(id, NetProtocol.applyTrail(this.trails.get(id) || [], data, level));
+            this.trailTotals.set(id, (this.trailTotals.get(id) || 0) + data.tr.length / 2);
+        }
+        for (const id of this.trails.keys()) {
+            if (snapshot.byId.has(id)) continue;
+            this.trails.delete(id);
+            this.trailTotals.delete(id);
+        }
+        snapshot.trailTotals = new Map(this.trailTotals);
+        this.reconcile(snapshot);
+    }
+
+    // Puts our car where the server had it, then replays the inputs the server has not seen yet
+    reconcile(snapshot) {
+        const own = snapshot.players[this.playerIndex];
+        if (!own) return;
+        if (!this.localCar) {
+            this.localCar = new Car(this.network, false);
+            this.localCar.color = Car.PLAYER_COLORS[this.playerIndex];
+            this.localCar.allowWrongWay = this.config.trafficRules === 'penalty';
+        }
+        const wasCrashed = this.localCar.crashed;
+        NetProtocol.applyCar(this.localCar, own, this.network);
+        this.localCar.trail = this.trails.get(own.id).slice(); // Prediction extends it
+        if (own.c && !wasCrashed && this.onCrash) this.onCrash();
+
+        this.pending = this.pending.filter(entry => entry.seq > snapshot.ack);
+        for (const entry of this.pending) this.localCar.update(entry.input);
+    }
+
+    /**
+     * One client tick: sends the input and moves our car by it right away.
+     */
+    step(input) {
+        const car = this.localCar;
+        if (!car || !this.socket || this.socket.readyState !== WebSocket.OPEN) return;
+        const copy = { mouseAngle: input.mouseAngle, accelerating: input.accelerating, braking: input.braking };
+        const seq = ++this.seq;
+        this.socket.send(JSON.stringify({ type: 'input', seq, input: copy }));
+        this.pending.push({ seq, input: copy });
+        car.update(copy);
+    }
+
+    playerCount() {
+        const latest = this.snapshots[this.snapshots.length - 1];
+        return latest ? latest.players.length : 0;
+    }
+
+    /**
+     * The world as Simulation.getState() describes it, for the renderer and HUD.
+     * @returns {Object} or null until the first snapshot of the round has arrived.
+     */
+    getState() {
+        const latest = this.snapshots[this.snapshots.length - 1];
+        if (!latest || !this.network) return null;
+
+        // Server tick to show remote cars at: a little behind the newest snapshot, never past it
+        const tickMs = 1000 / Simulation.TICK_RATE;
+        const renderTick = Math.min(latest.tick,
+            latest.tick + (performance.now() - latest.receivedAt) / tickMs - NetClient.INTERPOLATION_TICKS);
+        let older = this.snapshots[0];
+        let newer = latest;
+        for (let i = 1; i < this.snapshots.length; i++) {
+            if (this.snapshots[i].tick >= renderTick) {
+                older = this.snapshots[i - 1];
+                newer = this.snapshots[i];
+                break;
+            }
+        }
+        const span = newer.tick - older.tick;
+        const f = span > 0 ? Math.max(0, Math.min(1, (renderTick - older.tick) / span)) : 1;
+
+        const shown = new Set();
+        const carFor = (data) => {
+            shown.add(data.id);
+            if (data.pi === this.playerIndex && this.localCar) return this.localCar;
+            return this.remoteCar(data, older, f);
+        };
+        const players = newer.players.map(carFor);
+        const bots = newer.bots.map(carFor);
+        for (const id of this.cars.keys()) {
+            if (!shown.has(id)) this.cars.delete(id);
+        }
+
+        const own = players[this.playerIndex];
+        const watched = own || players.find(car => !car.crashed) || players[0] || null;
+        return {
+            tick: latest.tick,
+            seed: this.seed,
+            player: watched,
+            players,
+            bots,
+            score: watched ? latest.scores[watched.playerIndex] : null,
+            scores: latest.scores,
+            crashLog: [],
+            courier: null,
+            couriers: [],
+            territory: null,
+            over: latest.over,
+            winner: latest.winner >= 0 ? players[latest.winner] : null,
+            wave: latest.wave,
+            bounds: this.network.bounds,
+            nextRoundIn: latest.nextRoundIn
+        };
+    }
+
+    // Another player's car or a bot, between its older and newer snapshot poses
+    remoteCar(data, older, f) {
+        let car = this.cars.get(data.id);
+        if (!car) {
+            car = new Car(this.network, !!data.bot, null, null, data.bot || undefined);
+            if (!data.bot) car.color = Car.PLAYER_COLORS[data.pi];
+            this.cars.set(data.id, car);
+        }
+        NetProtocol.applyCar(car, data, this.network);
+        const trail = this.trails.get(data.id) || [];
+        car.trail = trail;
+        const olderData = older.byId.get(data.id);
+        if (olderData && !data.c) {
+            // The trail as of the older snapshot, so it does not run ahead of the car; drawing joins it to the car
+            const ahead = this.trailTotals.get(data.id) - older.trailTotals.get(data.id);
+            if (ahead > 0) car.trail = trail.slice(0, Math.max(0, trail.length - ahead));
+            car.x = Utils.lerp(olderData.x, data.x, f);
+            car.y = Utils.lerp(olderData.y, data.y, f);
+            car.angle = olderData.a + Utils.angleDiff(olderData.a, data.a) * f;
+        }
+        // Already interpolated, so renderPose() leaves it where it is
+        car.prevX = car.x;
+        car.prevY = car.y;
+        car.prevAngle = car.angle;
+        return car;
+    }
+}
+
+if (typeof module !== 'undefined') module.exports = NetClient;
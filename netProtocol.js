@@ -0,0 +1,70 @@
+/**
+ * NETWORK PROTOCOL
+ * JSON messages between the LAN server (server.js) and NetClient, one WebSocket each:
+ *   server -> client: welcome {map, config}, round {playerIndex, seed},
+ *                     snapshot {tick, ack, players, bots, scores, over, winner, wave, nextRoundIn}
+ *   client -> server: input {seq, input: {mouseAngle, accelerating, braking}}
+ * Cars travel as compact records and trails as the points added since the previous
+ * snapshot (in full only to a client that just joined or for a car that respawned),
+ * so a snapshot of a full bot field stays small.
+ */
+const NetProtocol = {
+    SNAPSHOT_INTERVAL: 3, // Ticks between snapshots (20 per second)
+
+    /**
+     * Car -> record: {id, bot (archetype, or null for players), pi (playerIndex), x, y, a (angle),
+     * s (speed), r (road id), p (pointIndex), t, c (crashed), why (crashReason),
+     * tr (flat x, y... of the trail from index trailFrom on), tl (trail length)}.
+     * @param {number} trailFrom - First trail point the client does not have yet, 0 for all of them.
+     */
+    packCar: (car, id, trailFrom = 0) => {
+        const round = (v, scale) => Math.round(v * scale) / scale;
+        const trail = [];
+        for (let i = trailFrom; i < car.trail.length; i++) {
+            trail.push(Math.round(car.trail[i].x), Math.round(car.trail[i].y));
+        }
+        return {
+            id,
+            bot: car.isBot ? car.archetype : null,
+            pi: car.playerIndex,
+            x: round(car.x, 10),
+            y: round(car.y, 10),
+            a: round(car.angle, 1000),
+            s: round(car.speed, 1000),
+            r: car.currentRoad.id,
+            p: car.pointIndex,
+            t: round(car.t, 10000),
+            c: car.crashed,
+            why: car.crashReason,
+            tr: trail,
+            tl: car.trail.length
+        };
+    },
+
+    // Copies a record from packCar, all but the trail, onto a car driving on the same network
+    applyCar: (car, data, network) => {
+        car.currentRoad = network.roads[data.r] || car.currentRoad;
+        car.playerIndex = data.pi;
+        car.pointIndex = data.p;
+        car.t = data.t;
+        car.speed = data.s;
+        car.x = data.x;
+        car.y = data.y;
+        car.angle = data.a;
+        car.crashed = data.c;
+        car.crashReason = data.why;
+    },
+
+    /**
+     * Adds a record's new trail points to the trail built from the records before it,
+     * dropping the oldest ones as the car's own trail did. A full trail replaces it.
+     * @returns {Array} the updated trail.
+     */
+    applyTrail: (trail, data, level) => {
+        for (let i = 0; i < data.tr.length; i += 2) trail.push({ x: data.tr[i], y: data.tr[i + 1], level });
+        if (trail.length > data.tl) trail.splice(0, trail.length - data.tl);
+        return trail;
+    }
+};
+
+if (typeof module !== 'undefined') module.exports = NetProtocol;
@@ -0,0 +1,184 @@
+/**
+ * PATH PLANNER
+ * A* over the road graph (legal directions, weighted by segment length) and
+ * simple prediction of where a car is heading.
+ * Planning work is capped per tick so large bot counts stay within frame time.
+ */
+class PathPlanner {
+    constructor(network) {
+        this.network = network;
+
+        // Budget: node expansions shared by all searches in one tick
+        this.EXPANSIONS_PER_TICK = 4000;
+        this.MAX_EXPANSIONS_PER_SEARCH = 2500;
+        this.budget = this.EXPANSIONS_PER_TICK;
+    }
+
+    // Called by the simulation at the start of every tick
+    beginTick() {
+        this.budget = this.EXPANSIONS_PER_TICK;
+    }
+
+    /**
+     * Shortest legal route between two nodes.
+     * @returns {Array|null} Roads to drive in order (empty if already there), or
+     *          null if the goal is unreachable or the tick's budget ran out.
+     */
+    findPath(startNodeIdx, goalNodeIdx) {
+        if (startNodeIdx === goalNodeIdx) return [];
+        if (this.budget <= 0) return null;
+
+        const nodes = this.network.nodes;
+        const goal = nodes[goalNodeIdx];
+        const heuristic = (idx) => Utils.dist(nodes[idx], goal); // Straight line never overestimates
+
+        const cost = new Map([[startNodeIdx, 0]]);
+        const cameBy = new Map(); // Node index -> road used to reach it
+        const closed = new Set();
+        const open = new MinHeap();
+        open.push(startNodeIdx, heuristic(startNodeIdx));
+
+        let expansions = 0;
+        while (open.size) {
+            const current = open.pop();
+            if (current === goalNodeIdx) return this.buildRoute(cameBy, goalNodeIdx);
+            if (closed.has(current)) continue; // Stale heap entry
+            closed.add(current);
+
+            if (++expansions > this.MAX_EXPANSIONS_PER_SEARCH || --this.budget <= 0) return null;
+
+            const currentCost = cost.get(current);
+            for (const road of nodes[current].outgoing) {
+                if (road.wrongWay) continue;
+                const next = road.endNodeIdx;
+                const nextCost = currentCost + road.length;
+                if (nextCost < (cost.has(next) ? cost.get(next) : Infinity)) {
+                    cost.set(next, nextCost);
+                    cameBy.set(next, road);
+                    open.push(next, nextCost + heuristic(next));
+                }
+            }
+        }
+        return null;
+    }
+
+    buildRoute(cameBy, goalNodeIdx) {
+        const route = [];
+        let idx = goalNodeIdx;
+        while (cameBy.has(idx)) {
+            const road = cameBy.get(idx);
+            route.push(road);
+            idx = road.startNodeIdx;
+        }
+        return route.reverse();
+    }
+
+    /**
+     * Node a car will most likely reach after driving `distance` more units,
+     * assuming it keeps taking the straightest legal exit.
+     */
+    predictNode(car, distance) {
+        let road = car.currentRoad;
+        let remaining = distance - Utils.dist(car, this.network.nodes[road.endNodeIdx]);
+        let nodeIdx = road.endNodeIdx;
+
+        // Bounded walk: stops at dead ends and never loops forever on roundabouts
+        for (let hops = 0; remaining > 0 && hops < 50; hops++) {
+            const exits = this.network.nodes[nodeIdx].outgoing.filter(r => !r.wrongWay && r.id !== road.reverseId);
+            if (!exits.length) break;
+
+            const points = road.points;
+            const heading = Utils.angleTo(points[points.length - 2], points[points.length - 1]);
+            let straightest = exits[0];
+            let minTurn = Infinity;
+            for (const exit of exits) {
+                const turn = Math.abs(Utils.angleDiff(heading, exit.startAngle));
+                if (turn < minTurn) {
+                    minTurn = turn;
+                    straightest = exit;
+                }
+            }
+
+            road = straightest;
+            remaining -= road.length;
+            nodeIdx = road.endNodeIdx;
+        }
+        return nodeIdx;
+    }
+
+    // Junction with the most roads within `radius` of a node (nearer wins ties)
+    busiestNodeNear(nodeIdx, radius) {
+        const nodes = this.network.nodes;
+        const origin = nodes[nodeIdx];
+        let best = nodeIdx;
+        let bestScore = -Infinity;
+        const roads = this.network.getRoadsInRect(origin.x - radius, origin.y - radius, origin.x + radius, origin.y + radius);
+        for (const road of roads) {
+            const node = nodes[road.endNodeIdx];
+            const d = Utils.dist(origin, node);
+            if (d > radius || !node.outgoing.some(r => !r.wrongWay)) continue;
+            const score = node.outgoing.length - d / radius;
+            if (score > bestScore) {
+                bestScore = score;
+                best = road.endNodeIdx;
+            }
+        }
+        return best;
+    }
+}
+
+/**
+ * Binary min-heap of (value, priority) pairs, used as the A* open set.
+ */
+class MinHeap {
+    constructor() {
+        this.values = [];
+        this.priorities = [];
+    }
+
+    get size() {
+        return this.values.length;
+    }
+
+    push(value, priority) {
+        this.values.push(value);
+        this.priorities.push(priority);
+        let i = this.values.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.priorities[parent] <= priority) break;
+            this.swap(i, parent);
+            i = parent;
+        }
+    }
+
+    // Removes and returns the value with the lowest priority
+    pop() {
+        const top = this.values[0];
+        const lastValue = this.values.pop();
+        const lastPriority = this.priorities.pop();
+        if (this.values.length) {
+            this.values[0] = lastValue;
+            this.priorities[0] = lastPriority;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < this.values.length && this.priorities[left] < this.priorities[smallest]) smallest = left;
+                if (right < this.values.length && this.priorities[right] < this.priorities[smallest]) smallest = right;
+                if (smallest === i) break;
+                this.swap(i, smallest);
+                i = smallest;
+            }
+        }
+        return top;
+    }
+
+    swap(a, b) {
+        [this.values[a], this.values[b]] = [this.values[b], this.values[a]];
+        [this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]];
+    }
+}
+
+if (typeof module !== 'undefined') module.exports = PathPlanner;
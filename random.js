@@ -0,0 +1,61 @@
+/**
+ * SEEDED RANDOM
+ * Deterministic PRNG (mulberry32) shared by spawns, bot decisions and audio,
+ * so a run can be replayed exactly from its seed.
+ */
+class Random {
+    constructor(seed = Random.randomSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Float in [0, 1), drop-in replacement for Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Integer in [0, max)
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+
+    /**
+     * Independent stream derived from the same seed.
+     * Consumers that run at display rate (audio) use a fork so they never
+     * shift the sequence the simulation sees.
+     * @param {number} stream - Any integer identifying the consumer.
+     */
+    fork(stream) {
+        return new Random(Math.imul(this.seed ^ stream, 0x9E3779B1) ^ stream);
+    }
+
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    /**
+     * Converts menu input into a seed. Numbers are used as-is, any other
+     * text is hashed (FNV-1a), blank input returns null (= pick a random seed).
+     */
+    static parseSeed(value) {
+        const text = String(value).trim();
+        if (!text) return null;
+        if (/^\d+$/.test(text)) return Number(text) >>> 0;
+
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
+
+if (typeof module !== 'undefined') module.exports = Random;
@@ -0,0 +1,120 @@
+/**
+ * INPUT RECORDING & REPLAY
+ * A run is fully described by its map, simulation config (bot count, seed, rules)
+ * and the players' input on every tick, so replaying those inputs reproduces it exactly.
+ */
+// Bump whenever the simulation changes how a config, seed and inputs play out,
+// so older recordings are refused instead of replaying a different run
+const REPLAY_VERSION = 4;
+const REPLAY_SPEEDS = [1, 2, 4, 8];
+
+// Input flags are packed into one integer per tick to keep files small
+const INPUT_ACCELERATING = 1;
+const INPUT_BRAKING = 2;
+
+class InputRecorder {
+    constructor() {
+        this.recording = null;
+    }
+
+    /**
+     * Begins a new recording, discarding the previous one.
+     * @param {string} map - URL of the map the run is played on.
+     * @param {Object} config - Simulation config of the run, with its resolved seed.
+     */
+    start(map, config) {
+        this.recording = {
+            version: REPLAY_VERSION,
+            tickRate: Simulation.TICK_RATE,
+            map,
+            config,
+            date: new Date().toISOString(),
+            inputs: [] // One [mouseAngle, flags] entry per tick, [angle1, flags1, angle2, flags2...] in split screen
+        };
+    }
+
+    /**
+     * Stores the input that is about to be fed into the next tick.
+     * @param {Object|Array} input - One player's controls, or one entry per player.
+     */
+    record(input) {
+        if (!this.recording) return;
+        const pack = (i) => [i.mouseAngle, (i.accelerating ? INPUT_ACCELERATING : 0) | (i.braking ? INPUT_BRAKING : 0)];
+        this.recording.inputs.push(Array.isArray(input) ? input.flatMap(pack) : pack(input));
+    }
+
+    hasData() {
+        return !!this.recording && this.recording.inputs.length > 0;
+    }
+
+    toJSON() {
+        return JSON.stringify(this.recording);
+    }
+}
+
+class ReplayPlayer {
+    constructor(recording) {
+        this.recording = recording;
+        this.paused = false;
+        this.speedIndex = 0;
+    }
+
+    /**
+     * Parses and validates an exported recording.
+     * @throws {Error} with a readable message if the file is not a usable recording.
+     */
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            throw new Error("Replay is not valid JSON.");
+        }
+        if (!data || !Array.isArray(data.inputs)) throw new Error("Replay has no input log.");
+        if (data.version !== REPLAY_VERSION) throw new Error(`Unsupported replay version: ${data.version}.`);
+        if (data.tickRate !== Simulation.TICK_RATE) throw new Error(`Replay was recorded at ${data.tickRate} ticks/s.`);
+        const config = data.config || {};
+        if (typeof data.map !== 'string' || !Number.isInteger(config.botCount) || !Number.isInteger(config.seed)) {
+            throw new Error("Replay is missing its map, bot count or seed.");
+        }
+        return data;
+    }
+
+    get length() {
+        return this.recording.inputs.length;
+    }
+
+    // Multiplier applied to real time while playing back (0 while paused)
+    get timeScale() {
+        return this.paused ? 0 : REPLAY_SPEEDS[this.speedIndex];
+    }
+
+    isFinished(tick) {
+        return tick >= this.length;
+    }
+
+    // Input of one tick, as an array with one entry per player for split-screen runs
+    inputAt(tick) {
+        const entry = this.recording.inputs[tick];
+        const unpack = (mouseAngle, flags) => ({
+            mouseAngle,
+            accelerating: (flags & INPUT_ACCELERATING) !== 0,
+            braking: (flags & INPUT_BRAKING) !== 0
+        });
+        if (entry.length === 2) return unpack(entry[0], entry[1]);
+        const inputs = [];
+        for (let i = 0; i < entry.length; i += 2) inputs.push(unpack(entry[i], entry[i + 1]));
+        return inputs;
+    }
+
+    togglePause() {
+        this.paused = !this.paused;
+    }
+
+    // Cycles 1x -> 2x -> 4x -> 8x -> 1x
+    cycleSpeed() {
+        this.speedIndex = (this.speedIndex + 1) % REPLAY_SPEEDS.length;
+    }
+}
+
+if (typeof module !== 'undefined') module.exports = { InputRecorder, ReplayPlayer };
@@ -1,12 +1,40 @@
 /**
  * ROAD NETWORK
- * Parsing and Graph generation from GeoJSON
+ * Parsing and Graph generation from GeoJSON, raw Overpass JSON or OSM XML
  * Implements Spatial Partitioning (Grid) for performance optimization
  */
+
+// Precompiled graph format, see RoadNetwork.toCompiled()
+const COMPILED_FORMAT = 'neondrive-graph';
+const COMPILED_VERSION = 1;
+// Way properties the game reads at runtime (street names); everything else is baked into the graph
+const COMPILED_PROPERTIES = ['@id', 'highway', 'name', 'ref'];
+
+// Raised for unusable map input; the message is meant to be shown to the user as-is
+class MapError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MapError';
+    }
+}
+
 class RoadNetwork {
     constructor() {
-        this.nodes = []; // Array of {id, x, y, outgoing: []}
+        this.nodes = []; // Array of {id, index, x, y, outgoing: []}
+        this.nodeIndex = new Map(); // Key: node id, Value: node (avoids linear scans while parsing)
         this.roads = []; // Master list of all segments
+        this.bounds = null; // {minX, minY, maxX, maxY} of all road points
+        this.wayCount = 0; // Source ways (OSM roads) the graph was built from
+
+        // Graph Analysis (filled in by analyze() after parsing)
+        this.totalLength = 0; // Meters of road, both directions counted once
+        this.fragmentCount = 0; // Weakly connected pieces of the graph
+        this.mainComponentLength = 0; // Meters of road inside the largest strongly connected component
+        this.deadEnds = []; // Indices of nodes with a single neighbour
+        this.spawnRoads = []; // Legal segments inside the largest strongly connected component
+
+        // How the last map was loaded: {format, parseMs, memoryBytes}, plus {totalMs, bytes} from load()
+        this.loadStats = null;
         
         // Spatial Partitioning
         this.grid = new Map(); // Key: "col,row", Value: [Roads]
@@ -14,69 +42,604 @@ class RoadNetwork {
     }
 
     async load(url) {
-        const response = await fetch(url);
-        const json = await response.json();
-        this.parse(json);
+        const startTime = Date.now();
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (err) {
+            throw new MapError(`Could not fetch ${url}: ${err.message}`);
+        }
+        if (!response.ok) {
+            throw new MapError(`Could not fetch ${url} (${response.status} ${response.statusText}).`);
+        }
+        const text = await response.text();
+        this.parse(RoadNetwork.decode(text));
+        this.loadStats.totalMs = Date.now() - startTime;
+        this.loadStats.bytes = text.length;
+    }
+
+    /**
+     * Loads a map the user picked or dropped (File / Blob).
+     */
+    async loadFile(file) {
+        const startTime = Date.now();
+        const text = await file.text();
+        this.parse(RoadNetwork.decode(text));
+        this.loadStats.totalMs = Date.now() - startTime;
+        this.loadStats.bytes = text.length;
     }
 
+    /**
+     * Turns map file contents into an object parse() understands.
+     * OSM XML is converted to the same shape as Overpass JSON ({elements: [...]}).
+     * @throws {MapError} if the text is neither JSON nor XML.
+     */
+    static decode(text) {
+        if (text.trimStart().startsWith('<')) return RoadNetwork.parseOsmXml(text);
+        try {
+            return JSON.parse(text);
+        } catch (err) {
+            throw new MapError(`Map is neither valid JSON nor OSM XML (${err.message}).`);
+        }
+    }
+
+    /**
+     * Minimal OSM XML reader (nodes, ways, tags), DOM-free so it also runs under Node.
+     * @returns {Object} {elements: [...]} in Overpass JSON layout.
+     */
+    static parseOsmXml(text) {
+        const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+        const unescape = (value) => value.replace(/&(#x?[0-9a-f]+|\w+);/gi, (match, code) => {
+            if (code[0] !== '#') return entities[code] !== undefined ? entities[code] : match;
+            return String.fromCodePoint(code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+        });
+        const readAttributes = (source) => {
+            const attrs = {};
+            for (const m of source.matchAll(/([\w:-]+)\s*=\s*(["'])([\s\S]*?)\2/g)) attrs[m[1]] = unescape(m[3]);
+            return attrs;
+        };
+
+        const elements = [];
+        for (const m of text.matchAll(/<node\b([^>]*?)\/?>/g)) {
+            const attrs = readAttributes(m[1]);
+            elements.push({ type: 'node', id: Number(attrs.id), lat: Number(attrs.lat), lon: Number(attrs.lon) });
+        }
+        for (const m of text.matchAll(/<way\b([^>]*?)(?:\/>|>([\s\S]*?)<\/way>)/g)) {
+            const body = m[2] || '';
+            const nodes = [...body.matchAll(/<nd\b([^>]*?)\/?>/g)].map(nd => Number(readAttributes(nd[1]).ref));
+            const tags = {};
+            for (const t of body.matchAll(/<tag\b([^>]*?)\/?>/g)) {
+                const attrs = readAttributes(t[1]);
+                tags[attrs.k] = attrs.v;
+            }
+            elements.push({ type: 'way', id: Number(readAttributes(m[1]).id), nodes, tags });
+        }
+        return { elements };
+    }
+
+    /**
+     * Builds the road graph.
+     * @throws {MapError} describing why the input cannot be used as a map.
+     */
     parse(json) {
-        // RESET DATA
+        const startTime = Date.now();
+        if (json && json.format === COMPILED_FORMAT) {
+            this.loadCompiled(json);
+        } else {
+            this.build(json);
+        }
+        this.bounds = this.computeBounds();
+        this.analyze();
+
+        this.loadStats = {
+            format: json.format === COMPILED_FORMAT ? 'compiled' : (Array.isArray(json.elements) ? 'osm' : 'geojson'),
+            parseMs: Date.now() - startTime,
+            memoryBytes: this.estimateMemory()
+        };
+        console.log(`Graph Built: ${this.nodes.length} Nodes, ${this.roads.length} Segments, ` +
+            `${this.fragmentCount} Fragments, ${this.deadEnds.length} Dead Ends ` +
+            `(${this.loadStats.format}, ${this.loadStats.parseMs} ms, ~${(this.loadStats.memoryBytes / 1048576).toFixed(1)} MB).`);
+    }
+
+    // RESET DATA
+    clear() {
         this.nodes = [];
+        this.nodeIndex = new Map();
         this.roads = [];
         this.grid = new Map();
+        this.bounds = null;
+    }
+
+    // Builds the graph from source map data (GeoJSON / Overpass JSON / OSM XML)
+    build(json) {
+        this.clear();
+
+        const ways = this.extractWays(json);
+        this.wayCount = ways.length;
 
         // 1. Project Coordinates & Count Occurrences
-        const pointCounts = new Map(); 
-        const project = this.createProjection(json);
-        const getKey = (p) => `${Math.round(p.x)},${Math.round(p.y)}`;
-
-        // Pass 1: Count intersections
-        json.features.forEach(f => {
-            f.geometry.coordinates.forEach(c => {
-                const p = project(c[0], c[1]);
-                const key = getKey(p);
-                pointCounts.set(key, (pointCounts.get(key) || 0) + 1);
+        const project = this.createProjection(ways);
+        const getPosKey = (p) => `${Math.round(p.x)},${Math.round(p.y)}`;
+        ways.forEach(way => {
+            way.points = way.coords.map(c => project(c[0], c[1]));
+            way.level = this.getLevel(way.properties);
+        });
+
+        // Pass 1: Collect every occurrence of every position, per vertical level
+        const positions = new Map(); // Key: "x,y", Value: {total, hasEnd, levels: Map(level -> count)}
+        const nodeRefCounts = new Map(); // Key: OSM node id, Value: count
+        ways.forEach(way => {
+            way.points.forEach((p, i) => {
+                if (way.nodeIds) {
+                    const id = way.nodeIds[i];
+                    nodeRefCounts.set(id, (nodeRefCounts.get(id) || 0) + 1);
+                    return;
+                }
+                const posKey = getPosKey(p);
+                let info = positions.get(posKey);
+                if (!info) {
+                    info = { total: 0, hasEnd: false, levels: new Map() };
+                    positions.set(posKey, info);
+                }
+                info.total++;
+                info.levels.set(way.level, (info.levels.get(way.level) || 0) + 1);
+                if (i === 0 || i === way.points.length - 1) info.hasEnd = true;
             });
         });
 
+        // Node identity of a way point, and how many way points share it.
+        // OSM node ids are authoritative when the input has them. Otherwise a
+        // bridge or tunnel only meets roads on its own level mid-way, but its
+        // ends (ramps) join whatever is at that position.
+        const resolvePoint = (way, i) => {
+            if (way.nodeIds) {
+                const id = way.nodeIds[i];
+                return { key: `n${id}`, count: nodeRefCounts.get(id) };
+            }
+            const posKey = getPosKey(way.points[i]);
+            const info = positions.get(posKey);
+            if (info.hasEnd) return { key: posKey, count: info.total };
+            return { key: `${posKey}@${way.level}`, count: info.levels.get(way.level) };
+        };
+
         // Pass 2: Split Ways into Segments at intersections
-        json.features.forEach(f => {
-            const coords = f.geometry.coordinates;
+        ways.forEach(way => {
+            const direction = this.getTravelDirection(way.properties);
+            const structure = this.getStructure(way.properties);
             let currentSegmentPoints = [];
+            let segmentStartKey = null;
             
-            for (let i = 0; i < coords.length; i++) {
-                const p = project(coords[i][0], coords[i][1]);
+            for (let i = 0; i < way.points.length; i++) {
+                const p = way.points[i];
                 currentSegmentPoints.push(p);
 
-                const key = getKey(p);
-                const isIntersection = pointCounts.get(key) > 1;
-                const isLastPoint = i === coords.length - 1;
+                const { key, count } = resolvePoint(way, i);
+                const isIntersection = count > 1;
+                const isLastPoint = i === way.points.length - 1;
 
                 if ((isIntersection || isLastPoint) && currentSegmentPoints.length > 1) {
                     // Create Forward Segment
-                    this.createRoadSegment(currentSegmentPoints, getKey, f.properties);
+                    const roadA = this.createRoadSegment(currentSegmentPoints, segmentStartKey, key, way.properties);
                     
                     // Create Reverse Segment
                     const reversePoints = [...currentSegmentPoints].reverse();
-                    this.createRoadSegment(reversePoints, getKey, f.properties);
+                    const roadB = this.createRoadSegment(reversePoints, key, segmentStartKey, way.properties);
                     
                     // Link Reverse IDs
-                    const roadA = this.roads[this.roads.length - 2];
-                    const roadB = this.roads[this.roads.length - 1];
                     roadA.reverseId = roadB.id;
                     roadB.reverseId = roadA.id;
 
+                    // One-way streets keep both segments, but flag the illegal direction
+                    roadA.wrongWay = direction === -1;
+                    roadB.wrongWay = direction === 1;
+
+                    roadA.level = roadB.level = way.level;
+                    roadA.structure = roadB.structure = structure;
+
                     currentSegmentPoints = [p]; 
                 }
+                if (currentSegmentPoints.length === 1) segmentStartKey = key;
+            }
+        });
+        if (!this.roads.length) {
+            throw new MapError("Map produced an empty road graph (no way has two or more points).");
+        }
+    }
+
+    /**
+     * Compact precompiled form of the graph (see `node headless.js compile`).
+     * Holds projected points, node adjacency and the grid, so loading it skips
+     * projection, intersection detection and node matching entirely.
+     * Segments are stored once per two-way pair: road 2k is listed, its reverse
+     * 2k + 1 is implied.
+     */
+    toCompiled() {
+        const propertyIndex = new Map(); // Shared way properties -> index
+        const properties = [];
+        const segments = [];
+
+        for (let id = 0; id < this.roads.length; id += 2) {
+            const road = this.roads[id];
+            const reverse = this.roads[id + 1];
+            if (!reverse || road.reverseId !== reverse.id) throw new Error(`Road ${id} is not followed by its reverse.`);
+
+            if (!propertyIndex.has(road.properties)) {
+                propertyIndex.set(road.properties, properties.length);
+                const kept = {};
+                COMPILED_PROPERTIES.forEach(key => {
+                    if (road.properties[key] !== undefined) kept[key] = road.properties[key];
+                });
+                properties.push(kept);
+            }
+
+            const flags = (road.wrongWay ? 1 : 0) | (reverse.wrongWay ? 2 : 0) |
+                (road.structure === 'bridge' ? 4 : 0) | (road.structure === 'tunnel' ? 8 : 0);
+            const flatPoints = [];
+            road.points.forEach(p => flatPoints.push(p.x, p.y));
+            segments.push([road.startNodeIdx, road.endNodeIdx, propertyIndex.get(road.properties), flags, road.level, ...flatPoints]);
+        }
+
+        const nodes = [];
+        this.nodes.forEach(node => nodes.push(node.x, node.y));
+
+        return {
+            format: COMPILED_FORMAT,
+            version: COMPILED_VERSION,
+            wayCount: this.wayCount,
+            cellSize: this.CELL_SIZE,
+            properties,
+            nodes,
+            adjacency: this.nodes.map(node => node.outgoing.map(road => road.id)),
+            segments,
+            grid: [...this.grid].map(([key, roads]) => [key, roads.map(road => road.id)])
+        };
+    }
+
+    // Restores a graph produced by toCompiled()
+    loadCompiled(data) {
+        if (data.version !== COMPILED_VERSION) {
+            throw new MapError(`Compiled map version ${data.version} is outdated (expected ${COMPILED_VERSION}). Recompile it.`);
+        }
+        this.clear();
+        this.wayCount = data.wayCount;
+        this.CELL_SIZE = data.cellSize;
+
+        for (let i = 0; i < data.nodes.length; i += 2) {
+            const node = { id: i / 2, index: i / 2, x: data.nodes[i], y: data.nodes[i + 1], outgoing: [] };
+            this.nodes.push(node);
+            this.nodeIndex.set(node.id, node);
+        }
+
+        data.segments.forEach(([startNodeIdx, endNodeIdx, propertiesIdx, flags, level, ...flatPoints]) => {
+            const points = [];
+            for (let i = 0; i < flatPoints.length; i += 2) points.push({ x: flatPoints[i], y: flatPoints[i + 1] });
+            const structure = (flags & 4) ? 'bridge' : ((flags & 8) ? 'tunnel' : null);
+            const properties = data.properties[propertiesIdx];
+
+            const forward = this.createRoadRecord(points, startNodeIdx, endNodeIdx, properties);
+            const reverse = this.createRoadRecord([...points].reverse(), endNodeIdx, startNodeIdx, properties);
+            forward.reverseId = reverse.id;
+            reverse.reverseId = forward.id;
+            forward.wrongWay = (flags & 1) !== 0;
+            reverse.wrongWay = (flags & 2) !== 0;
+            forward.level = reverse.level = level;
+            forward.structure = reverse.structure = structure;
+        });
+
+        data.adjacency.forEach((roadIds, i) => {
+            this.nodes[i].outgoing = roadIds.map(id => this.roads[id]);
+        });
+        data.grid.forEach(([key, roadIds]) => {
+            this.grid.set(key, roadIds.map(id => this.roads[id]));
+        });
+    }
+
+    /**
+     * Rough heap footprint of the graph in bytes (V8 object and array overheads),
+     * reported after loading so larger cities can be sized up.
+     */
+    estimateMemory() {
+        let points = 0;
+        let gridEntries = 0;
+        this.roads.forEach(road => points += road.points.length);
+        this.grid.forEach(cell => gridEntries += cell.length);
+        return this.nodes.length * 120 + this.roads.length * 260 + points * 40 + gridEntries * 8;
+    }
+
+    /**
+     * Connectivity analysis of the parsed graph.
+     * Overpass bounding-box exports leave disconnected fragments and stubs behind;
+     * spawning is limited to the largest strongly connected component (following
+     * one-way rules), where every road can be reached from every other one.
+     */
+    analyze() {
+        // Total length, counting each two-way pair once
+        this.totalLength = 0;
+        this.roads.forEach(road => {
+            if (road.id < road.reverseId || road.reverseId === -1) this.totalLength += road.length;
+        });
+
+        // Fragments: weakly connected components (union-find over all segments)
+        const parent = this.nodes.map((node, i) => i);
+        const find = (i) => {
+            while (parent[i] !== i) i = parent[i] = parent[parent[i]];
+            return i;
+        };
+        this.roads.forEach(road => {
+            parent[find(road.startNodeIdx)] = find(road.endNodeIdx);
+        });
+        const fragmentIds = new Map(); // Root node -> fragment index
+        this.roads.forEach(road => {
+            const root = find(road.startNodeIdx);
+            if (!fragmentIds.has(root)) fragmentIds.set(root, fragmentIds.size);
+            road.fragment = fragmentIds.get(root);
+        });
+        this.fragmentCount = fragmentIds.size;
+
+        // Dead ends: nodes with exactly one neighbouring node
+        const neighbours = this.nodes.map(() => new Set());
+        this.roads.forEach(road => {
+            neighbours[road.startNodeIdx].add(road.endNodeIdx);
+            neighbours[road.endNodeIdx].add(road.startNodeIdx);
+        });
+        this.deadEnds = [];
+        neighbours.forEach((set, i) => {
+            if (set.size === 1) this.deadEnds.push(i);
+        });
+
+        // Largest strongly connected component over legal directions
+        const component = this.findStrongComponents();
+        const sizes = new Map();
+        component.forEach(c => sizes.set(c, (sizes.get(c) || 0) + 1));
+        let mainComponent = -1;
+        let mainSize = 0;
+        sizes.forEach((size, c) => {
+            if (size > mainSize) {
+                mainSize = size;
+                mainComponent = c;
+            }
+        });
+
+        this.mainComponentLength = 0;
+        this.spawnRoads = [];
+        this.roads.forEach(road => {
+            road.inMainComponent = component[road.startNodeIdx] === mainComponent &&
+                component[road.endNodeIdx] === mainComponent;
+            if (!road.inMainComponent) return;
+            if (road.id < road.reverseId || road.reverseId === -1) this.mainComponentLength += road.length;
+            if (!road.wrongWay) this.spawnRoads.push(road);
+        });
+    }
+
+    /**
+     * Tarjan's algorithm (iterative, large maps would overflow the call stack).
+     * Only legal directions count as edges.
+     * @returns {Int32Array} component index for every node index.
+     */
+    findStrongComponents() {
+        const count = this.nodes.length;
+        const index = new Int32Array(count).fill(-1);
+        const low = new Int32Array(count);
+        const onStack = new Uint8Array(count);
+        const component = new Int32Array(count).fill(-1);
+        const stack = [];
+        let counter = 0;
+        let componentCount = 0;
+
+        for (let root = 0; root < count; root++) {
+            if (index[root] !== -1) continue;
+
+            index[root] = low[root] = counter++;
+            stack.push(root);
+            onStack[root] = 1;
+            const work = [{ node: root, edge: 0 }];
+
+            while (work.length) {
+                const frame = work[work.length - 1];
+                const v = frame.node;
+                const edges = this.nodes[v].outgoing;
+
+                if (frame.edge < edges.length) {
+                    const road = edges[frame.edge++];
+                    if (road.wrongWay) continue;
+                    const w = road.endNodeIdx;
+                    if (index[w] === -1) {
+                        index[w] = low[w] = counter++;
+                        stack.push(w);
+                        onStack[w] = 1;
+                        work.push({ node: w, edge: 0 });
+                    } else if (onStack[w]) {
+                        low[v] = Math.min(low[v], index[w]);
+                    }
+                    continue;
+                }
+
+                // All edges of v explored
+                work.pop();
+                if (work.length) {
+                    const u = work[work.length - 1].node;
+                    low[u] = Math.min(low[u], low[v]);
+                }
+                if (low[v] === index[v]) {
+                    let w;
+                    do {
+                        w = stack.pop();
+                        onStack[w] = 0;
+                        component[w] = componentCount;
+                    } while (w !== v);
+                    componentCount++;
+                }
+            }
+        }
+        return component;
+    }
+
+    /**
+     * Summary shown before a game starts. Segments count both directions once,
+     * world units are meters.
+     */
+    getStats() {
+        const b = this.bounds;
+        return {
+            ways: this.wayCount,
+            segments: this.roads.length / 2,
+            lengthKm: this.totalLength / 1000,
+            mainShare: this.totalLength ? this.mainComponentLength / this.totalLength : 0,
+            fragments: this.fragmentCount,
+            deadEnds: this.deadEnds.length,
+            widthKm: (b.maxX - b.minX) / 1000,
+            heightKm: (b.maxY - b.minY) / 1000
+        };
+    }
+
+    computeBounds() {
+        return this.roads.reduce((acc, road) => {
+            road.points.forEach(p => {
+                if (p.x < acc.minX) acc.minX = p.x;
+                if (p.x > acc.maxX) acc.maxX = p.x;
+                if (p.y < acc.minY) acc.minY = p.y;
+                if (p.y > acc.maxY) acc.maxY = p.y;
+            });
+            return acc;
+        }, { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity });
+    }
+
+    /**
+     * Legal direction of travel along a way, from its OSM tags.
+     * @returns {number} 1 = only along the way, -1 = only against it, 0 = both.
+     */
+    getTravelDirection(properties) {
+        const oneway = properties.oneway;
+        if (oneway === 'yes' || oneway === 'true' || oneway === '1') return 1;
+        if (oneway === '-1' || oneway === 'reverse') return -1;
+        if (oneway === 'no' || oneway === 'false' || oneway === '0') return 0;
+
+        // Implied one-way (OSM defaults when no oneway tag is given)
+        if (properties.junction === 'roundabout' || properties.junction === 'circular') return 1;
+        if (properties.highway === 'motorway') return 1;
+        return 0;
+    }
+
+    /**
+     * Normalizes the input into a flat list of ways.
+     * Accepts a GeoJSON FeatureCollection (LineString / MultiLineString) or
+     * raw Overpass JSON / decoded OSM XML ({elements: [nodes..., ways...]}).
+     * @returns {Array} of {coords: [[lon, lat]], nodeIds: Array|null, properties}.
+     *          nodeIds holds the OSM node id of every coordinate when the source provides them.
+     */
+    extractWays(json) {
+        if (json && Array.isArray(json.elements)) return this.extractOsmWays(json.elements);
+
+        if (!json || !Array.isArray(json.features)) {
+            throw new MapError("Map has no features. Expected a GeoJSON FeatureCollection, Overpass JSON or OSM XML.");
+        }
+        if (!json.features.length) throw new MapError("Map has no features.");
+
+        const ways = [];
+        const skippedTypes = new Map(); // Geometry type -> count
+        json.features.forEach((f, index) => {
+            const geometry = (f && f.geometry) || {};
+            const properties = (f && f.properties) || {};
+            // Names the feature in validation errors, e.g. 'feature 12 ("Ulica Flanatička")'
+            const describe = () => {
+                const label = properties.name || (f && f.id);
+                return `feature ${index}${label ? ` ("${label}")` : ''}`;
+            };
+            // overpass-turbo GeoJSON carries coordinates only, no node ids
+            if (geometry.type === 'LineString') {
+                ways.push({ coords: this.checkCoordinates(geometry.coordinates, describe), nodeIds: null, properties });
+            } else if (geometry.type === 'MultiLineString') {
+                if (!Array.isArray(geometry.coordinates)) {
+                    throw new MapError(`Map ${describe()} is a MultiLineString without a coordinates array.`);
+                }
+                geometry.coordinates.forEach(line =>
+                    ways.push({ coords: this.checkCoordinates(line, describe), nodeIds: null, properties }));
+            } else {
+                const type = geometry.type || 'no geometry';
+                skippedTypes.set(type, (skippedTypes.get(type) || 0) + 1);
+            }
+        });
+
+        const found = [...skippedTypes].map(([type, count]) => `${count} ${type}`).join(', ');
+        if (!ways.length) {
+            throw new MapError(`Map has ${json.features.length} features but none are LineString or MultiLineString (found ${found}).`);
+        }
+        if (skippedTypes.size) console.warn(`Skipped features with non-LineString geometry: ${found}.`);
+
+        return ways.filter(way => way.coords.length > 1);
+    }
+
+    /**
+     * @returns {Array} the line's coordinates, once checked to be [lon, lat] number pairs.
+     * @throws {MapError} naming the feature (describe()) otherwise.
+     */
+    checkCoordinates(coords, describe) {
+        if (!Array.isArray(coords)) {
+            throw new MapError(`Map ${describe()} has no coordinates array.`);
+        }
+        const bad = coords.findIndex(c => !Array.isArray(c) || c.length < 2 || !Number.isFinite(c[0]) || !Number.isFinite(c[1]));
+        if (bad >= 0) {
+            throw new MapError(`Map ${describe()} has an invalid coordinate at position ${bad} (expected [lon, lat] numbers).`);
+        }
+        return coords;
+    }
+
+    // Ways from OSM elements, resolving node references (or inline "out geom" geometry)
+    extractOsmWays(elements) {
+        const nodes = new Map();
+        elements.forEach(e => {
+            if (e.type === 'node') nodes.set(e.id, [e.lon, e.lat]);
+        });
+
+        const ways = [];
+        elements.forEach(e => {
+            if (e.type !== 'way' || !e.tags || !e.tags.highway) return;
+
+            const coords = [];
+            const nodeIds = [];
+            (e.nodes || []).forEach((id, i) => {
+                const g = e.geometry && e.geometry[i];
+                const coord = g ? [g.lon, g.lat] : nodes.get(id);
+                if (!coord) return; // Node outside the export
+                coords.push(coord);
+                nodeIds.push(id);
+            });
+
+            if (coords.length > 1) {
+                ways.push({ coords, nodeIds, properties: { '@id': `way/${e.id}`, ...e.tags } });
             }
         });
-        console.log(`Graph Built: ${this.nodes.length} Nodes, ${this.roads.length} Segments.`);
+
+        if (!ways.length) {
+            const highwayCount = elements.filter(e => e.type === 'way' && e.tags && e.tags.highway).length;
+            if (!highwayCount) throw new MapError("Map contains no highway ways.");
+            throw new MapError(`Map has ${highwayCount} highway ways but their nodes are missing. Export with "out body; >; out skel qt;".`);
+        }
+        return ways;
+    }
+
+    /**
+     * Vertical level of a way: explicit layer tag, else bridges above and tunnels below ground.
+     */
+    getLevel(properties) {
+        const layer = parseInt(properties.layer);
+        if (!isNaN(layer)) return layer;
+        if (this.getStructure(properties) === 'bridge') return 1;
+        if (this.getStructure(properties) === 'tunnel') return -1;
+        return 0;
     }
 
-    createProjection(json) {
+    // 'bridge', 'tunnel' or null for roads at ground level
+    getStructure(properties) {
+        if (properties.bridge && properties.bridge !== 'no') return 'bridge';
+        if (properties.tunnel && properties.tunnel !== 'no') return 'tunnel';
+        return null;
+    }
+
+    createProjection(ways) {
         const bounds = { minLon: Infinity, maxLon: -Infinity, minLat: Infinity, maxLat: -Infinity };
-        json.features.forEach(f => {
-            f.geometry.coordinates.forEach(c => {
+        ways.forEach(way => {
+            way.coords.forEach(c => {
                 if (c[0] < bounds.minLon) bounds.minLon = c[0];
                 if (c[0] > bounds.maxLon) bounds.maxLon = c[0];
                 if (c[1] < bounds.minLat) bounds.minLat = c[1];
@@ -86,15 +649,15 @@ class RoadNetwork {
         const centerLon = (bounds.minLon + bounds.maxLon) / 2;
         const centerLat = (bounds.minLat + bounds.maxLat) / 2;
         const scale = 111139; 
+        // Rounded to centimeters, so a compiled graph stores exactly the same coordinates
+        const round = (v) => Math.round(v * 100) / 100;
         return (lon, lat) => ({
-            x: (lon - centerLon) * scale * Math.cos(centerLat * Math.PI / 180),
-            y: -(lat - centerLat) * scale 
+            x: round((lon - centerLon) * scale * Math.cos(centerLat * Math.PI / 180)),
+            y: round(-(lat - centerLat) * scale)
         });
     }
 
-    createRoadSegment(points, keyFn, properties) {
-        const startKey = keyFn(points[0]);
-        const endKey = keyFn(points[points.length - 1]);
+    createRoadSegment(points, startKey, endKey, properties) {
         const startNode = this.getOrCreateNode(startKey, points[0]);
         const endNode = this.getOrCreateNode(endKey, points[points.length - 1]);
 
@@ -102,22 +665,34 @@ class RoadNetwork {
         points[0] = { x: startNode.x, y: startNode.y };
         points[points.length - 1] = { x: endNode.x, y: endNode.y };
 
+        const road = this.createRoadRecord(points, startNode.index, endNode.index, properties);
+        startNode.outgoing.push(road);
+
+        // Add to Spatial Grid
+        this.addToGrid(road);
+
+        return road;
+    }
+
+    // Adds a segment to the master list (adjacency and grid are up to the caller)
+    createRoadRecord(points, startNodeIdx, endNodeIdx, properties) {
         const road = {
             id: this.roads.length,
             points: points,
-            startNodeIdx: this.nodes.indexOf(startNode),
-            endNodeIdx: this.nodes.indexOf(endNode),
+            startNodeIdx,
+            endNodeIdx,
             startAngle: this.calculateRoadAngle(points),
+            length: this.calculateRoadLength(points),
             reverseId: -1,
+            wrongWay: false, // True if driving this segment goes against a one-way restriction
+            level: 0, // Vertical level (OSM layer), roads only connect within a level
+            structure: null, // 'bridge', 'tunnel' or null
+            fragment: -1, // Weakly connected component index, see analyze()
+            inMainComponent: false, // Both ends inside the largest strongly connected component
             properties: properties || {}
         };
         
         this.roads.push(road);
-        startNode.outgoing.push(road);
-
-        // Add to Spatial Grid
-        this.addToGrid(road);
-
         return road;
     }
 
@@ -224,14 +799,21 @@ class RoadNetwork {
     }
 
     getOrCreateNode(key, point) {
-        let node = this.nodes.find(n => n.id === key);
+        let node = this.nodeIndex.get(key);
         if (!node) {
-            node = { id: key, x: point.x, y: point.y, outgoing: [] };
+            node = { id: key, index: this.nodes.length, x: point.x, y: point.y, outgoing: [] };
             this.nodes.push(node);
+            this.nodeIndex.set(key, node);
         }
         return node;
     }
 
+    calculateRoadLength(points) {
+        let length = 0;
+        for (let i = 1; i < points.length; i++) length += Utils.dist(points[i - 1], points[i]);
+        return length;
+    }
+
     calculateRoadAngle(points) {
         let lookAheadIndex = 1;
         while (lookAheadIndex < points.length - 1 && Utils.dist(points[0], points[lookAheadIndex]) < 10) {
@@ -239,4 +821,9 @@ class RoadNetwork {
         }
         return Utils.angleTo(points[0], points[lookAheadIndex]);
     }
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = RoadNetwork;
+    module.exports.MapError = MapError;
 }
\ No newline at end of file
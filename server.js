@@ -0,0 +1,271 @@
+/**
+ * LAN SERVER
+ * Runs one authoritative Simulation for everybody on the network. Clients send
+ * their input every tick over a WebSocket; the server steps the world, bots
+ * included, at Simulation.TICK_RATE and broadcasts snapshots (see netProtocol.js).
+ * It also serves the game files, so players just open http://<host>:<port>/.
+ *
+ * node server.js [mapFile] [botCount] [port] [mode]
+ */
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { Simulation, loadNetwork } = require('./headless.js');
+const NetProtocol = require('./netProtocol.js');
+const WebSocketConnection = require('./websocket.js');
+
+const ROOT = __dirname;
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json',
+    '.geojson': 'application/json',
+    '.osm': 'application/xml',
+    '.xml': 'application/xml'
+};
+
+// Everything a browser needs, by directory: the page and its scripts, and the maps
+const PUBLIC_FILES = {
+    '': ['.html', '.js'],
+    'maps': ['.json', '.geojson', '.osm', '.xml']
+};
+
+class GameServer {
+    static ROUND_BREAK = 5;       // Seconds the results stay up before the next round
+    static MAX_QUEUED_INPUTS = 6; // Inputs a client may run ahead by; older ones are dropped to bound lag
+    static MODES = ['classic', 'waves']; // Modes whose state fits in a snapshot
+
+    /**
+     * @param {RoadNetwork} network - The map every client loads too.
+     * @param {string} mapUrl - Where clients fetch that map, relative to the served directory.
+     * @param {Object} config - Simulation config for every round (players are filled in per round).
+     */
+    constructor(network, mapUrl, config) {
+        this.sim = new Simulation(network);
+        this.mapUrl = mapUrl;
+        this.config = config;
+        this.clients = new Set(); // {connection, player, inputs, lastInput, ack, fullTrails}
+        this.running = false;     // False while nobody is connected
+        this.roundOverTick = -1;  // Tick the current round ended, -1 while it runs
+        this.carIds = new WeakMap(); // Car -> id that stays the same across snapshots
+        this.nextCarId = 1;
+        this.trailsSent = new WeakMap(); // Car -> newest trail point in the last snapshot
+    }
+
+    join(connection) {
+        const client = { connection, player: null, inputs: [], lastInput: null, ack: 0, fullTrails: true };
+        this.clients.add(client);
+        connection.on('message', text => this.receive(client, text));
+        connection.on('close', () => this.leave(client));
+        connection.send(JSON.stringify({ type: 'welcome', map: this.mapUrl, config: this.config }));
+
+        if (this.running) this.seat(client, this.roundOverTick < 0 ? this.sim.addPlayer() : null);
+        else this.startRound();
+    }
+
+    // A player leaving mid-round is out of it; bots carry on only while someone is connected
+    leave(client) {
+        this.clients.delete(client);
+        if (client.player && !client.player.crashed) client.player.crashWith("DISCONNECTED");
+        if (!this.clients.size) this.running = false;
+    }
+
+    receive(client, text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (err) {
+            return; // Not ours, ignore
+        }
+        if (!message || message.type !== 'input' || !client.player || !message.input) return;
+        const { mouseAngle, accelerating, braking } = message.input;
+        if (!Number.isFinite(mouseAngle) || !Number.isInteger(message.seq)) return;
+
+        client.inputs.push({ seq: message.seq, input: { mouseAngle, accelerating: !!accelerating, braking: !!braking } });
+        if (client.inputs.length > GameServer.MAX_QUEUED_INPUTS) client.inputs.shift();
+    }
+
+    // Everyone connected gets a car, up to Simulation.MAX_PLAYERS; the rest watch
+    startRound() {
+        const clients = [...this.clients];
+        this.sim.reset({ ...this.config, players: Math.min(clients.length, Simulation.MAX_PLAYERS) });
+        this.roundOverTick = -1;
+        this.carIds = new WeakMap();
+        this.trailsSent = new WeakMap();
+        this.running = true;
+        clients.forEach((client, i) => this.seat(client, this.sim.players[i] || null));
+    }
+
+    seat(client, player) {
+        client.player = player;
+        client.inputs = [];
+        client.lastInput = null;
+        client.ack = 0;
+        client.fullTrails = true; // Until the first snapshot of the round, which sends every trail whole
+        client.connection.send(JSON.stringify({ type: 'round', playerIndex: player ? player.playerIndex : -1, seed: this.sim.seed }));
+    }
+
+    tick() {
+        if (!this.running) return;
+        const sim = this.sim;
+
+        // One queued input per client per tick; a client that falls behind keeps its last one
+        const inputs = [];
+        for (const client of this.clients) {
+            if (!client.player) continue;
+            const next = client.inputs.shift();
+            if (next) {
+                client.lastInput = next.input;
+                client.ack = next.seq;
+            }
+            if (client.lastInput) inputs[client.player.playerIndex] = client.lastInput;
+        }
+        sim.step(inputs);
+
+        if (this.roundOverTick < 0 && sim.isOver()) {
+            this.roundOverTick = sim.tick;
+        } else if (this.roundOverTick >= 0 && sim.tick - this.roundOverTick >= GameServer.ROUND_BREAK * Simulation.TICK_RATE) {
+            this.startRound();
+            return;
+        }
+        if (sim.tick % NetProtocol.SNAPSHOT_INTERVAL === 0) this.broadcast();
+    }
+
+    carId(car) {
+        if (!this.carIds.has(car)) this.carIds.set(car, this.nextCarId++);
+        return this.carIds.get(car);
+    }
+
+    // Index of the first trail point not in the last snapshot; 0 for a new or respawned car
+    trailFrom(car) {
+        const from = car.trail.lastIndexOf(this.trailsSent.get(car)) + 1;
+        this.trailsSent.set(car, car.trail[car.trail.length - 1]);
+        return from;
+    }
+
+    /**
+     * Same snapshot for everyone but the acknowledged input, spliced in without re-serializing.
+     * Trails are sent as what was added since the last snapshot, whole to clients that just joined.
+     */
+    broadcast() {
+        const sim = this.sim;
+        const cars = [...sim.players, ...sim.bots];
+        const trailFrom = new Map(cars.map(car => [car, this.trailFrom(car)]));
+        const deltaBody = this.snapshot(trailFrom);
+        let fullBody = null;
+        for (const client of this.clients) {
+            if (client.fullTrails && !fullBody) fullBody = this.snapshot(new Map());
+            const body = client.fullTrails ? fullBody : deltaBody;
+            client.fullTrails = false;
+            client.connection.send(`{"ack":${client.ack},${body.slice(1)}`);
+        }
+    }
+
+    // Snapshot JSON, with each car's trail from its trailFrom index (whole when missing)
+    snapshot(trailFrom) {
+        const sim = this.sim;
+        const winner = sim.winner();
+        return JSON.stringify({
+            type: 'snapshot',
+            tick: sim.tick,
+            players: sim.players.map(car => NetProtocol.packCar(car, this.carId(car), trailFrom.get(car))),
+            bots: sim.bots.map(car => NetProtocol.packCar(car, this.carId(car), trailFrom.get(car))),
+            scores: sim.scores,
+            over: this.roundOverTick >= 0,
+            winner: winner ? winner.playerIndex : -1,
+            wave: sim.config.mode === 'waves' ? { number: sim.wave, ticksLeft: sim.nextWaveTick - sim.tick } : null,
+            nextRoundIn: this.roundOverTick >= 0
+                ? GameServer.ROUND_BREAK - (sim.tick - this.roundOverTick) / Simulation.TICK_RATE : 0
+        });
+    }
+}
+
+/**
+ * Whether a path relative to the game directory is one of PUBLIC_FILES.
+ * Dot-files and dot-directories (.git and the like) never are.
+ */
+function isPublic(relative) {
+    const parts = relative.split('/');
+    if (parts.some(part => !part || part.startsWith('.') || part.includes('\\'))) return false; // Backslash: Windows separator
+    const dir = parts.slice(0, -1).join('/');
+    return (PUBLIC_FILES[dir] || []).includes(path.extname(relative));
+}
+
+// Static files from the game directory, only those in PUBLIC_FILES
+function serveFile(req, res) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (err) {
+        pathname = null; // Malformed escape sequence
+    }
+    const relative = pathname && path.posix.normalize(pathname === '/' ? 'index.html' : pathname.slice(1));
+    if (req.method !== 'GET' || !relative || !isPublic(relative)) {
+        res.writeHead(404);
+        res.end();
+        return;
+    }
+    const file = path.join(ROOT, relative);
+    fs.readFile(file, (err, data) => {
+        if (err) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+// Addresses other machines on the LAN can reach this one at
+function lanAddresses() {
+    return Object.values(os.networkInterfaces()).flat()
+        .filter(iface => iface && iface.family === 'IPv4' && !iface.internal)
+        .map(iface => iface.address);
+}
+
+module.exports = { GameServer, serveFile, isPublic };
+
+if (require.main === module) {
+    const [mapFile = 'maps/pula.json', botArg = '25', portArg = '8080', mode = 'classic'] = process.argv.slice(2);
+    if (!GameServer.MODES.includes(mode)) {
+        console.error(`Mode "${mode}" is not supported over the network (use ${GameServer.MODES.join(' or ')}).`);
+        process.exit(1);
+    }
+    const mapUrl = path.relative(ROOT, path.resolve(mapFile)).split(path.sep).join('/');
+    if (!isPublic(mapUrl)) {
+        console.error(`The map must be in ${path.join(ROOT, 'maps')} so clients can load it.`);
+        process.exit(1);
+    }
+
+    const game = new GameServer(loadNetwork(mapFile), mapUrl, {
+        ...Simulation.DEFAULT_CONFIG,
+        botCount: parseInt(botArg) || 0,
+        mode
+    });
+    const port = parseInt(portArg) || 8080;
+    const server = http.createServer(serveFile);
+    server.on('upgrade', (req, socket) => {
+        const connection = WebSocketConnection.accept(req, socket);
+        if (connection) game.join(connection);
+    });
+    server.listen(port, () => {
+        console.log(`Serving ${mapUrl} with ${game.config.botCount} bots (${mode}).`);
+        for (const address of ['localhost', ...lanAddresses()]) console.log(`  http://${address}:${port}/`);
+    });
+
+    // Fixed timestep, like the browser loop
+    const tickMs = 1000 / Simulation.TICK_RATE;
+    let last = performance.now();
+    let accumulator = 0;
+    setInterval(() => {
+        const now = performance.now();
+        accumulator += Math.min(now - last, 250);
+        last = now;
+        while (accumulator >= tickMs) {
+            game.tick();
+            accumulator -= tickMs;
+        }
+    }, 4);
+}
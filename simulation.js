@@ -0,0 +1,388 @@
+/**
+ * SIMULATION
+ * Owns the game world (road network, players, bots) and advances it tick by tick.
+ * Has no DOM or canvas dependency, so it runs in the browser and under Node alike.
+ */
+class Simulation {
+    // Fixed simulation rate; rendering interpolates between ticks
+    static TICK_RATE = 60;
+
+    // Per-run settings; a replay stores these alongside its input log
+    static DEFAULT_CONFIG = {
+        botCount: 0,
+        seed: null,             // null = pick a random seed
+        trafficRules: 'strict', // 'strict' = legal exits only, 'penalty' = wrong way allowed but slowed
+        spawnStreet: null,      // Street name the player starts on, if the map has it
+        difficulty: 'normal',   // Key of DIFFICULTIES
+        mode: 'classic',        // 'classic' = one field of bots, 'waves' = a new, bigger wave on a timer,
+                                // 'courier' = deliver to named streets while the bots hunt,
+                                // 'territory' = claim the most road before the timer ends
+        botLookAhead: 200,      // Distance bots scan ahead for trails and oncoming cars
+        players: 1              // Local players sharing the screen, 1 to MAX_PLAYERS
+    };
+
+    static MAX_PLAYERS = 4;
+
+    // Difficulty presets: share of each bot archetype (see Car.ARCHETYPES) and a speed multiplier
+    static DIFFICULTIES = {
+        easy:   { speedScale: 0.85, mix: { chaser: 0.5, wanderer: 0.5 } },
+        normal: { speedScale: 1,    mix: { chaser: 0.4, interceptor: 0.25, wanderer: 0.2, blocker: 0.15 } },
+        insane: { speedScale: 1.15, mix: { chaser: 0.3, interceptor: 0.4, blocker: 0.3 } }
+    };
+
+    // Wave mode: seconds between waves, bots added and speed gained per wave, and a cap on the field
+    static WAVES = { interval: 45, extraBots: 5, speedStep: 0.08, maxBots: 150 };
+
+    // Territory mode: seconds a player waits after a crash before driving on
+    static RESPAWN_DELAY = 2;
+
+    // Points per car destroyed on the player's trail, per near miss and per second survived;
+    // seconds spent driving the wrong way ('penalty' traffic rules) cost wrongWayPerSecond each
+    static SCORING = { kill: 100, nearMiss: 25, perSecond: 10, wrongWayPerSecond: 10 };
+
+    // A bot that comes this close to the player and gets away again is a near miss
+    static NEAR_MISS_DISTANCE = 20;
+
+    // Player's run statistics; distance in map units (meters), topSpeed in units per tick
+    static emptyScore() {
+        return { kills: 0, nearMisses: 0, survivalTicks: 0, wrongWayTicks: 0, distance: 0, topSpeed: 0, deliveries: 0, deliveryPoints: 0, points: 0 };
+    }
+
+    /**
+     * Archetype for each of `count` bots, in the preset's proportions.
+     */
+    static botArchetypes(difficulty, count) {
+        const mix = Object.entries(Simulation.DIFFICULTIES[difficulty].mix);
+        const archetypes = [];
+        for (let i = 0; i < count; i++) {
+            let share = (i + 0.5) / count;
+            const entry = mix.find(([, weight]) => (share -= weight) < 0) || mix[mix.length - 1];
+            archetypes.push(entry[0]);
+        }
+        return archetypes;
+    }
+
+    constructor(network) {
+        this.network = network;
+        this.players = []; // Local players; players[0] is the one a single-player run is about
+        this.bots = [];
+        this.config = { ...Simulation.DEFAULT_CONFIG };
+        this.tick = 0;
+        this.seed = 0;
+        this.rng = null;
+        this.planner = new PathPlanner(network);
+        this.collisions = new CollisionGrid();
+
+        // Per player, in the same order as players
+        this.scores = [];
+        this.nearBots = []; // Bots currently inside the near-miss distance -> their Car.spawns then
+        this.couriers = []; // Delivery targets in courier mode
+        this.respawnTicks = []; // Territory mode: tick a crashed player drives on again, -1 if driving
+
+        this.crashLog = []; // Every crash of the run, oldest first (see Car.crashWith)
+        this.wave = 0;
+        this.nextWaveTick = 0;
+        this.edgeRoads = []; // Spawn roads near the map edges, where waves come in
+        this.territory = null; // Claimed roads in territory mode
+    }
+
+    // First player, their score and courier job: all there is in a single-player run
+    get player() {
+        return this.players[0] || null;
+    }
+
+    get score() {
+        return this.scores[0] || null;
+    }
+
+    get courier() {
+        return this.couriers[0] || null;
+    }
+
+    /**
+     * Spawns fresh players and bot field on the current network.
+     * The same config, seed and inputs always reproduce the same run.
+     * @param {Object} config - Overrides for DEFAULT_CONFIG.
+     */
+    reset(config = {}) {
+        this.config = { ...Simulation.DEFAULT_CONFIG, ...config };
+        this.config.players = Math.max(1, Math.min(Simulation.MAX_PLAYERS, this.config.players | 0));
+        this.tick = 0;
+        this.crashLog = [];
+        this.seed = (this.config.seed === null ? Random.randomSeed() : this.config.seed) >>> 0;
+        this.rng = new Random(this.seed);
+
+        const first = new Car(this.network, false, null, this.rng);
+        if (this.config.spawnStreet) {
+            const streetRoads = this.network.spawnRoads.filter(road =>
+                road.properties.name === this.config.spawnStreet);
+            if (streetRoads.length) first.placeOnRoad(this.rng.pick(streetRoads));
+        }
+        this.players = [first];
+        for (let i = 1; i < this.config.players; i++) {
+            this.players.push(new Car(this.network, false, this.playerPositions(), this.rng));
+        }
+        this.players.forEach((player, i) => {
+            player.playerIndex = i;
+            player.color = Car.PLAYER_COLORS[i];
+            player.allowWrongWay = this.config.trafficRules === 'penalty';
+        });
+        this.scores = this.players.map(() => Simulation.emptyScore());
+        this.nearBots = this.players.map(() => new Map());
+        this.respawnTicks = this.players.map(() => -1);
+
+        if (!Simulation.DIFFICULTIES[this.config.difficulty]) this.config.difficulty = 'normal';
+        this.bots = Simulation.botArchetypes(this.config.difficulty, this.config.botCount)
+            .map(archetype => this.createBot(archetype, this.playerPositions(), 1));
+
+        this.wave = 1;
+        this.nextWaveTick = Simulation.WAVES.interval * Simulation.TICK_RATE;
+        this.edgeRoads = this.config.mode === 'waves' ? this.findEdgeRoads() : [];
+
+        this.couriers = [];
+        if (this.config.mode === 'courier') {
+            this.couriers = this.players.map(player => {
+                const courier = new Courier(this.network, this.rng);
+                courier.assign(player, this.tick);
+                return courier;
+            });
+        }
+        this.territory = this.config.mode === 'territory' ? new Territory(this.network, this.rng) : null;
+    }
+
+    /**
+     * Adds a player to the running round, away from the others (networked games).
+     * @returns {Car} the new player, or null when all MAX_PLAYERS slots are taken.
+     */
+    addPlayer() {
+        const index = this.players.length;
+        if (index >= Simulation.MAX_PLAYERS) return null;
+        const player = new Car(this.network, false, this.playerPositions(), this.rng);
+        player.playerIndex = index;
+        player.color = Car.PLAYER_COLORS[index];
+        player.allowWrongWay = this.config.trafficRules === 'penalty';
+
+        this.players.push(player);
+        this.config.players = this.players.length;
+        this.scores.push(Simulation.emptyScore());
+        this.nearBots.push(new Map());
+        this.respawnTicks.push(-1);
+        if (this.config.mode === 'courier') {
+            const courier = new Courier(this.network, this.rng);
+            courier.assign(player, this.tick);
+            this.couriers.push(courier);
+        }
+        return player;
+    }
+
+    /**
+     * True once the run has ended: in territory mode when time runs out, otherwise
+     * when the player crashed (alone) or one car is left standing (split screen).
+     */
+    isOver() {
+        if (!this.players.length) return true;
+        if (this.territory) return this.territory.isOver(this.tick);
+        const alive = this.players.filter(player => !player.crashed).length;
+        return this.players.length > 1 ? alive <= 1 : alive === 0;
+    }
+
+    // Last player standing in a finished split-screen round, null on a draw or while it runs
+    winner() {
+        if (this.players.length < 2 || this.territory || !this.isOver()) return null;
+        return this.players.find(player => !player.crashed) || null;
+    }
+
+    // Where every player is now, for spawns to keep away from
+    playerPositions() {
+        return this.players.map(player => ({ x: player.x, y: player.y }));
+    }
+
+    // Bots hunt the nearest player still driving
+    targetFor(bot) {
+        let target = null;
+        let best = Infinity;
+        for (const player of this.players) {
+            if (player.crashed) continue;
+            const d = Utils.dist(bot, player);
+            if (d < best) {
+                best = d;
+                target = player;
+            }
+        }
+        return target || this.player;
+    }
+
+    /**
+     * New bot of the given archetype, tuned to the difficulty preset.
+     * @param {number} speedScale - Extra speed multiplier on top of the preset's (waves).
+     */
+    createBot(archetype, avoid, speedScale) {
+        const bot = new Car(this.network, true, avoid, this.rng, archetype);
+        bot.maxSpeed *= Simulation.DIFFICULTIES[this.config.difficulty].speedScale * speedScale;
+        bot.lookAhead = this.config.botLookAhead;
+        return bot;
+    }
+
+    // Spawn roads starting within the outer tenth of the map
+    findEdgeRoads() {
+        const { minX, minY, maxX, maxY } = this.network.bounds;
+        const margin = Math.min(maxX - minX, maxY - minY) * 0.1;
+        return this.network.spawnRoads.filter(road => {
+            const p = road.points[0];
+            return p.x < minX + margin || p.x > maxX - margin || p.y < minY + margin || p.y > maxY - margin;
+        });
+    }
+
+    /**
+     * Wave mode: adds the next wave, bigger and faster than the last, at the map
+     * edges away from the players.
+     */
+    spawnWave() {
+        const waves = Simulation.WAVES;
+        this.wave++;
+        this.nextWaveTick = this.tick + waves.interval * Simulation.TICK_RATE;
+
+        const playerPositions = this.playerPositions();
+        const entryRoads = this.edgeRoads.filter(road =>
+            this.players.every(player => Utils.dist(road.points[0], player) > Car.SPAWN_DISTANCE));
+        const count = Math.min(this.config.botCount + (this.wave - 1) * waves.extraBots, waves.maxBots - this.bots.length);
+        const speedScale = 1 + (this.wave - 1) * waves.speedStep;
+
+        for (const archetype of Simulation.botArchetypes(this.config.difficulty, Math.max(count, 0))) {
+            const bot = this.createBot(archetype, playerPositions, speedScale);
+            if (entryRoads.length) bot.placeOnRoad(this.rng.pick(entryRoads));
+            this.bots.push(bot);
+        }
+    }
+
+    /**
+     * Advances the world by one fixed tick (1 / TICK_RATE seconds).
+     * @param {Object|Array} inputs - Player controls {mouseAngle, accelerating, braking},
+     *        or an array with one entry per player in split screen.
+     */
+    step(inputs) {
+        if (this.territory && this.isOver()) return; // Round finished, the map stays as it ended
+        const players = this.players;
+        const inputList = Array.isArray(inputs) ? inputs : [inputs];
+        const playerPositions = this.playerPositions();
+        this.planner.beginTick();
+
+        const bots = this.bots;
+        players.forEach((player, i) => {
+            player.update(inputList[i] || { mouseAngle: player.angle, accelerating: false, braking: false });
+        });
+        bots.forEach(bot => bot.update({ player: this.targetFor(bot), players, bots, planner: this.planner }));
+
+        // Everyone has moved: test each car's movement against nearby cars and trails
+        const cars = [...players, ...bots];
+        this.collisions.rebuild(cars);
+        players.forEach(player => {
+            this.collisions.nearby(player).forEach(other => player.checkCollision(other, playerPositions));
+        });
+        bots.forEach(bot => {
+            this.collisions.nearby(bot).forEach(other => {
+                if (!other.isBot && other.crashed) return;
+                bot.checkCollision(other, playerPositions);
+            });
+        });
+
+        this.logCrashes(cars);
+        if (this.territory) this.territory.update(cars);
+        players.forEach((player, i) => {
+            if (this.territory && player.crashed) this.respawnPlayer(i);
+            if (player.crashed) return;
+            const courier = this.couriers[i];
+            if (courier) {
+                this.scores[i].deliveryPoints += courier.update(player, this.tick);
+                this.scores[i].deliveries = courier.deliveries;
+            }
+            this.updateScore(i, bots);
+        });
+
+        this.bots = bots.filter(bot => !bot.crashed);
+        this.tick++;
+
+        if (this.config.mode === 'waves' && !this.isOver() &&
+            (!this.bots.length || this.tick >= this.nextWaveTick)) {
+            this.spawnWave();
+        }
+    }
+
+    // Territory mode: a crashed player drives on after a short wait, away from where it crashed
+    respawnPlayer(index) {
+        const player = this.players[index];
+        if (this.respawnTicks[index] < 0) {
+            this.respawnTicks[index] = this.tick + Simulation.RESPAWN_DELAY * Simulation.TICK_RATE;
+        } else if (this.tick >= this.respawnTicks[index]) {
+            this.respawnTicks[index] = -1;
+            player.spawn({ x: player.x, y: player.y });
+        }
+    }
+
+    // Stamps and logs crashes from this tick, crediting players for cars caught on their trail
+    logCrashes(cars) {
+        for (const car of cars) {
+            const crash = car.crash;
+            if (!crash || crash.tick !== null) continue;
+            crash.tick = this.tick;
+            this.crashLog.push(crash);
+            this.nearBots.forEach(near => near.delete(car));
+            if (this.territory) this.territory.release(car);
+            const killer = crash.by;
+            if (killer && !killer.isBot && killer !== car && crash.reason === "TRACE COLLISION") {
+                this.scores[killer.playerIndex].kills++;
+            }
+        }
+    }
+
+    updateScore(index, bots) {
+        const player = this.players[index];
+        const score = this.scores[index];
+        const nearBots = this.nearBots[index];
+        score.survivalTicks++;
+        if (player.currentRoad.wrongWay) score.wrongWayTicks++;
+        score.distance += player.speed;
+        score.topSpeed = Math.max(score.topSpeed, player.speed);
+
+        const near = Simulation.NEAR_MISS_DISTANCE;
+        for (const bot of bots) {
+            if (bot.crashed || (nearBots.has(bot) && nearBots.get(bot) !== bot.spawns)) {
+                nearBots.delete(bot); // Crashed, or respawned elsewhere rather than getting away
+                continue;
+            }
+            const d = Utils.dist(player, bot);
+            if (d < near) nearBots.set(bot, bot.spawns);
+            else if (d > near * 2 && nearBots.delete(bot)) score.nearMisses++;
+        }
+
+        const points = Simulation.SCORING;
+        score.points = score.kills * points.kill + score.nearMisses * points.nearMiss +
+            Math.floor(score.survivalTicks / Simulation.TICK_RATE) * points.perSecond + score.deliveryPoints -
+            Math.floor(score.wrongWayTicks / Simulation.TICK_RATE) * points.wrongWayPerSecond;
+    }
+
+    /**
+     * Read-only view of the world for renderers, HUD and audio.
+     */
+    getState() {
+        return {
+            tick: this.tick,
+            seed: this.seed,
+            player: this.player,
+            players: this.players,
+            bots: this.bots,
+            score: this.score,
+            scores: this.scores,
+            crashLog: this.crashLog,
+            courier: this.courier,
+            couriers: this.couriers,
+            territory: this.territory,
+            over: this.isOver(),
+            winner: this.winner(),
+            wave: this.config.mode === 'waves' ? { number: this.wave, ticksLeft: this.nextWaveTick - this.tick } : null,
+            bounds: this.network.bounds
+        };
+    }
+}
+
+if (typeof module !== 'undefined') module.exports = Simulation;
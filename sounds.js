@@ -17,6 +17,9 @@ class SoundController {
 
         // State Tracking
         this.initialized = false;
+
+        // Pitch jitter source, replaced with a fork of the run's PRNG on each reset
+        this.rng = new Random();
         
         // For event detection
         this.lastAngle = 0;
@@ -109,7 +112,7 @@ class SoundController {
      */
     updateEngineSound(engine, speedRatio, volumeScale, t) {
         // Pitch mapping: 0 speed -> 10Hz
-        const targetFreq = 10 + (speedRatio * 666) + Math.random()*20;
+        const targetFreq = 10 + (speedRatio * 666) + this.rng.next()*20;
         
         engine.osc1.frequency.setTargetAtTime(targetFreq, t, 0.1);
         engine.osc2.frequency.setTargetAtTime(targetFreq * 2.02, t, 0.1);
@@ -0,0 +1,104 @@
+/**
+ * TERRITORY MODE
+ * Driving a road segment from end to end claims it (both directions) for the
+ * driver's team: each player alone, or the bots of one archetype. When the timer
+ * runs out the team with the most road length wins.
+ * A crash releases part of what that car had claimed.
+ */
+class Territory {
+    static DURATION = 180;     // Seconds per round
+    static RELEASE_SHARE = 0.5; // Share of a car's claims lost when it crashes
+
+    constructor(network, rng) {
+        this.network = network;
+        this.rng = rng;
+        this.owners = new Array(network.roads.length).fill(null); // Road id -> owning team
+        this.claimers = new Array(network.roads.length).fill(null); // Road id -> car that claimed it
+        this.lengths = { player: 0 }; // Claimed road length per team
+        this.lastRoads = new Map(); // Car -> road it was on last tick
+    }
+
+    // 'player' for the first player, 'player2'... in split screen, else the bot's archetype
+    static teamOf(car) {
+        if (car.isBot) return car.archetype;
+        return car.playerIndex > 0 ? `player${car.playerIndex + 1}` : 'player';
+    }
+
+    // Teams drive in their cars' colors
+    static colorOf(team) {
+        if (team.startsWith('player')) return Car.PLAYER_COLORS[(parseInt(team.slice(6)) || 1) - 1];
+        return Car.ARCHETYPES[team].color;
+    }
+
+    isOver(tick) {
+        return tick >= Territory.DURATION * Simulation.TICK_RATE;
+    }
+
+    ticksLeft(tick) {
+        return Math.max(0, Territory.DURATION * Simulation.TICK_RATE - tick);
+    }
+
+    // Other team with the most road claimed, or null if none has claimed any
+    bestRival(team = 'player') {
+        let best = null;
+        for (const [other, length] of Object.entries(this.lengths)) {
+            if (other !== team && length > 0 && (!best || length > this.lengths[best])) best = other;
+        }
+        return best;
+    }
+
+    // Team with the most road claimed, or null on a tie
+    leader() {
+        const best = this.bestRival(null);
+        if (!best) return null;
+        const tied = Object.entries(this.lengths).some(([team, length]) => team !== best && length === this.lengths[best]);
+        return tied ? null : best;
+    }
+
+    /**
+     * Claims the road each car has just driven to its end.
+     * @param {Array} cars - Cars still in play.
+     */
+    update(cars) {
+        for (const car of cars) {
+            const last = this.lastRoads.get(car);
+            const road = car.currentRoad;
+            // Moving on to a road that starts where the last one ended = drove it to the end (not a respawn)
+            if (last && road !== last && !car.crashed && road.startNodeIdx === last.endNodeIdx) {
+                this.claim(last, car);
+            }
+            this.lastRoads.set(car, road);
+        }
+    }
+
+    claim(road, car) {
+        const team = Territory.teamOf(car);
+        const previous = this.owners[road.id];
+        if (previous !== team) {
+            if (previous) this.lengths[previous] -= road.length;
+            this.lengths[team] = (this.lengths[team] || 0) + road.length;
+        }
+        for (const id of [road.id, road.reverseId]) {
+            if (id < 0) continue;
+            this.owners[id] = team;
+            this.claimers[id] = car;
+        }
+    }
+
+    // Frees a share of the roads the car claimed, picked at random
+    release(car) {
+        this.lastRoads.delete(car);
+        for (const road of this.network.roads) {
+            if (this.claimers[road.id] !== car || (road.reverseId >= 0 && road.id > road.reverseId)) continue; // Each pair once
+            if (this.rng.next() >= Territory.RELEASE_SHARE) continue;
+            this.lengths[this.owners[road.id]] -= road.length;
+            for (const id of [road.id, road.reverseId]) {
+                if (id < 0) continue;
+                this.owners[id] = null;
+                this.claimers[id] = null;
+            }
+        }
+    }
+}
+
+if (typeof module !== 'undefined') module.exports = Territory;
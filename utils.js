@@ -8,9 +8,35 @@ const Utils = {
     // Linear Interpolation
     lerp: (start, end, t) => start * (1 - t) + end * t,
 
+    // Converts a per-tick lerp factor to one covering `ticks` ticks (frame-rate independent smoothing)
+    damp: (factor, ticks) => 1 - Math.pow(1 - factor, ticks),
+
     // Angle from point A to B
     angleTo: (p1, p2) => Math.atan2(p2.y - p1.y, p2.x - p1.x),
 
+    // Distance from point P to the segment A-B
+    distToSegment: (p, a, b) => {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq)) : 0;
+        return Math.hypot(a.x + dx * t - p.x, a.y + dy * t - p.y);
+    },
+
+    // Shortest distance between segments A-B and C-D (0 if they cross)
+    segmentDistance: (a, b, c, d) => {
+        const cross = (o, p, q) => (p.x - o.x) * (q.y - o.y) - (p.y - o.y) * (q.x - o.x);
+        const d1 = cross(c, d, a);
+        const d2 = cross(c, d, b);
+        const d3 = cross(a, b, c);
+        const d4 = cross(a, b, d);
+        if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) return 0;
+        return Math.min(
+            Utils.distToSegment(a, c, d), Utils.distToSegment(b, c, d),
+            Utils.distToSegment(c, a, b), Utils.distToSegment(d, a, b)
+        );
+    },
+
     // Smallest difference between two angles (-PI to PI)
     angleDiff: (a1, a2) => {
         let diff = a2 - a1;
@@ -18,4 +44,6 @@ const Utils = {
         while (diff < -Math.PI) diff += Math.PI * 2;
         return diff;
     }
-};
\ No newline at end of file
+};
+
+if (typeof module !== 'undefined') module.exports = Utils;
\ No newline at end of file
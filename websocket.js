@@ -0,0 +1,174 @@
+/**
+ * WEBSOCKET CONNECTION
+ * Just enough of RFC 6455 for the LAN server: the opening handshake, text
+ * messages (fragmented or not), ping/pong and close. Node only, no packages.
+ */
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xA };
+const MAX_MESSAGE_BYTES = 1 << 16; // Clients only ever send small input messages
+
+/**
+ * Emits 'message' (text) for each complete message and 'close' once, when either side closes.
+ */
+class WebSocketConnection extends EventEmitter {
+    /**
+     * Answers an HTTP upgrade request.
+     * @returns {WebSocketConnection} the open connection, or null if the request was not a WebSocket handshake.
+     */
+    static accept(req, socket) {
+        const key = req.headers['sec-websocket-key'];
+        if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return null;
+        }
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+        return new WebSocketConnection(socket);
+    }
+
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.open = true;
+        this.buffer = Buffer.alloc(0); // Received bytes not yet parsed into frames
+        this.fragments = null; // Payloads of the fragmented message in progress, null between messages
+        this.fragmentBytes = 0;
+
+        socket.setNoDelay(true); // Inputs and snapshots are small and latency-bound
+        socket.on('data', data => this.receive(data));
+        socket.on('close', () => this.closed());
+        socket.on('error', () => this.closed());
+    }
+
+    send(text) {
+        if (!this.open) return;
+        this.socket.write(this.frame(OPCODES.text, Buffer.from(text, 'utf8')));
+    }
+
+    close(code = 1000) {
+        if (!this.open) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code);
+        this.socket.end(this.frame(OPCODES.close, payload));
+        this.closed();
+    }
+
+    // A single unfragmented frame; server frames are never masked
+    frame(opcode, payload) {
+        const length = payload.length;
+        let header;
+        if (length < 126) {
+            header = Buffer.alloc(2);
+            header[1] = length;
+        } else if (length < 65536) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(length), 2);
+        }
+        header[0] = 0x80 | opcode; // FIN
+        return Buffer.concat([header, payload]);
+    }
+
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        while (this.open) {
+            const frame = this.nextFrame();
+            if (!frame) return;
+            this.handleFrame(frame);
+        }
+    }
+
+    // Takes the next complete frame off the buffer, or returns null until more data arrives
+    nextFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+        // Clients must mask; control frames are short and never fragmented
+        if (!masked || (opcode >= OPCODES.close && (length > 125 || !fin))) {
+            this.close(1002); // Protocol error
+            return null;
+        }
+        if (length > MAX_MESSAGE_BYTES) {
+            this.close(1009); // Message too big
+            return null;
+        }
+
+        const maskOffset = offset;
+        offset += 4;
+        if (buffer.length < offset + length) return null;
+
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        for (let i = 0; i < length; i++) payload[i] ^= buffer[maskOffset + (i & 3)];
+        this.buffer = buffer.subarray(offset + length);
+        return { fin, opcode, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODES.text:
+            case OPCODES.binary:
+            case OPCODES.continuation: {
+                // A new message may only start once the last one is complete, and a continuation needs one
+                if ((opcode === OPCODES.continuation) !== (this.fragments !== null)) {
+                    this.close(1002); // Protocol error
+                    return;
+                }
+                if (!this.fragments) {
+                    this.fragments = [];
+                    this.fragmentBytes = 0;
+                }
+                this.fragments.push(payload);
+                this.fragmentBytes += payload.length;
+                if (this.fragmentBytes > MAX_MESSAGE_BYTES) {
+                    this.close(1009); // Message too big, however it was split
+                    return;
+                }
+                if (!fin) return;
+                const message = Buffer.concat(this.fragments);
+                this.fragments = null;
+                this.emit('message', message.toString('utf8'));
+                return;
+            }
+            case OPCODES.ping:
+                this.socket.write(this.frame(OPCODES.pong, payload));
+                return;
+            case OPCODES.close:
+                this.close();
+                return;
+        }
+    }
+
+    closed() {
+        if (!this.open) return;
+        this.open = false;
+        this.emit('close');
+    }
+}
+
+module.exports = WebSocketConnection;